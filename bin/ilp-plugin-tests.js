@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const runSuite = require('../src/runSuite')
+const suites = require('../src/suites')
+
+const usage = `Usage: ilp-plugin-tests --config <file> [options]
+
+Options:
+  --config <file>     config module exporting plugin, options and timeout
+                      (defaults to $ILP_PLUGIN_TEST_CONFIG)
+  --only <suites>     comma-separated suites to run, out of:
+                      ${Object.keys(suites.SUITES).join(', ')}
+  --grep <pattern>    only run tests whose title contains <pattern>
+  --timeout <ms>      override the timeout given in the config
+  --reporter <name>   mocha reporter to use (default: spec)
+  --report <file>     write a JSON conformance report to <file>
+  --help              show this message`
+
+// where the interface version that is printed came from
+const VERSION_SOURCES = {
+  config: 'config\'s pluginVersion',
+  plugin: 'plugin\'s pluginVersion',
+  methods: 'plugin\'s methods'
+}
+
+const fail = (message) => {
+  console.error('ilp-plugin-tests: ' + message)
+  console.error()
+  console.error(usage)
+  process.exit(1)
+}
+
+const parseArgs = (argv) => {
+  const args = {}
+  const flags = [ 'config', 'only', 'grep', 'timeout', 'reporter', 'report' ]
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '--help' || arg === '-h') {
+      args.help = true
+      continue
+    }
+
+    // accept both "--flag value" and "--flag=value"
+    const match = arg.match(/^--([a-z]+)(?:=(.*))?$/)
+    if (!match || flags.indexOf(match[1]) === -1) {
+      fail('unknown argument "' + arg + '"')
+    }
+
+    const value = match[2] !== undefined ? match[2] : argv[++i]
+    if (value === undefined) fail('missing value for --' + match[1])
+    args[match[1]] = value
+  }
+
+  return args
+}
+
+const args = parseArgs(process.argv.slice(2))
+
+if (args.help) {
+  console.log(usage)
+  process.exit(0)
+}
+
+const configFile = args.config || process.env.ILP_PLUGIN_TEST_CONFIG
+if (!configFile) fail('no config given')
+
+const config = require(path.resolve(configFile))
+const opts = Object.assign({}, config, {
+  reporter: args.reporter,
+  grep: args.grep,
+  only: args.only && args.only.split(',').map((name) => name.trim())
+})
+
+if (args.timeout !== undefined) {
+  opts.timeout = Number(args.timeout)
+  if (!(opts.timeout > 0)) fail('--timeout must be a positive number')
+}
+
+runSuite(opts)
+  .then((result) => {
+    const detected = result.interfaceVersions
+    console.log('  interface version: ' + detected.versions.join(', ') +
+      ' (from the ' + VERSION_SOURCES[detected.source] + ')')
+
+    const reasons = {}
+    result.tests
+      .filter((test) => test.reason)
+      .forEach((test) => { reasons[test.reason] = true })
+    Object.keys(reasons).forEach((reason) => {
+      console.log('  skipped: ' + reason)
+    })
+
+    if (args.report) {
+      fs.writeFileSync(args.report, JSON.stringify(result.report, null, 2) + '\n')
+      console.log('  conformance report written to ' + args.report)
+    }
+
+    process.exit(result.passed ? 0 : 1)
+  })
+  .catch((e) => {
+    console.error('ilp-plugin-tests: ' + e.message)
+    process.exit(1)
+  })
@@ -0,0 +1,100 @@
+'use strict'
+/*
+ * This is an example test config using the reference plugin that comes with
+ * ilp-plugin-tests. Both plugins share an in-memory ledger, so the suite can
+ * be run without any network access. It is what `npm test` uses by default.
+ */
+
+const ReferenceLedger = require('../src/reference/ledger')
+const ReferencePlugin = require('../src/reference/plugin')
+
+const prefix = 'test.reference.'
+const ledger = new ReferenceLedger({
+  prefix: prefix,
+  currencyCode: 'USD',
+  currencyScale: 2,
+  // enough for the amounts tests to send 10^30, far more than
+  // Number.MAX_SAFE_INTEGER
+  accounts: {
+    alice: '1' + '0'.repeat(31),
+    bob: '1' + '0'.repeat(31),
+    carol: '1' + '0'.repeat(31)
+  }
+})
+
+// a ledger that no plugin can connect to
+const offline = new ReferenceLedger({
+  prefix: 'test.offline.',
+  accounts: { alice: '0' },
+  offline: true
+})
+
+const timeout = 200
+
+exports.plugin = ReferencePlugin
+exports.timeout = timeout
+// how long the plugins wait for the response to a request, as passed to them
+// in `requestTimeout` below
+exports.requestTimeout = timeout
+// the reference ledger expires transfers with setTimeout, so expiry tests can
+// run on fake timers
+exports.clock = 'fake'
+exports.options = [
+  {
+    pluginOptions: {
+      ledger: ledger,
+      account: 'alice',
+      requestTimeout: timeout
+    },
+    transfer: {
+      account: prefix + 'bob'
+    },
+    // the ledger's default minimum balance, and so a limit of nothing below zero
+    minBalance: '0',
+    limit: '0'
+  },
+  {
+    pluginOptions: {
+      ledger: ledger,
+      account: 'bob',
+      requestTimeout: timeout
+    },
+    transfer: {
+      account: prefix + 'alice'
+    }
+  },
+  {
+    // only used by the multi-party tests
+    pluginOptions: {
+      ledger: ledger,
+      account: 'carol',
+      requestTimeout: timeout
+    }
+  }
+]
+
+// a new, empty in-memory store for each plugin in the restart tests, which
+// the plugin keeps its transfers and fulfillments in
+exports.store = () => {
+  const values = {}
+  return {
+    get: (key) => Promise.resolve(values[key]),
+    put: (key, value) => {
+      values[key] = value
+      return Promise.resolve(null)
+    },
+    del: (key) => {
+      delete values[key]
+      return Promise.resolve(null)
+    }
+  }
+}
+
+// the plugin constructor throws without these, or if they have the wrong type
+exports.requiredOptions = [ 'ledger', 'account' ]
+exports.unreachable = {
+  'ledger offline': {
+    ledger: offline,
+    account: 'alice'
+  }
+}
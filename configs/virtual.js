@@ -16,11 +16,19 @@ exports.plugin = require('ilp-plugin-virtual')
 // to fulfill a transfer (from send until fulfillment goes through).
 exports.timeout = 1
 
-let store = {}
-let s = store.s = {}
-store.get = (k) => { return Promise.resolve(s[k]) }
-store.put = (k, v) => { s[k] = v; return Promise.resolve(null) }
-store.del = (k) => { s[k] = undefined; return Promise.resolve(null) }
+const makeStore = () => {
+  let store = {}
+  let s = store.s = {}
+  store.get = (k) => { return Promise.resolve(s[k]) }
+  store.put = (k, v) => { s[k] = v; return Promise.resolve(null) }
+  store.del = (k) => { s[k] = undefined; return Promise.resolve(null) }
+  return store
+}
+const store = makeStore()
+
+// The restart tests give each plugin a fresh store from this, and restart
+// plugins on the same store.
+exports.store = makeStore
 
 const crypto = require('crypto')
 const base64url = require('base64url')
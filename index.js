@@ -1,12 +1,8 @@
 'use strict'
 
-const config = require(process.env.ILP_PLUGIN_TEST_CONFIG)
-const plugin = config.plugin
-const options = config.options
-const timeout = config.timeout
+const runSuite = require('./src/runSuite')
+const validateConfig = require('./src/validateConfig')
+const ReferenceLedger = require('./src/reference/ledger')
+const ReferencePlugin = require('./src/reference/plugin')
 
-if (!plugin || !options || !timeout) {
-  throw new Error('FATAL: required options are unset')
-}
-
-module.exports = { plugin, options, timeout }
+module.exports = { runSuite, validateConfig, ReferenceLedger, ReferencePlugin }
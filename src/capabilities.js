@@ -0,0 +1,129 @@
+'use strict'
+
+const versions = require('./versions')
+
+// optional parts of the LedgerPlugin interface that a config can declare as
+// unsupported, and what each of them covers. Anything not declared is
+// assumed to be supported.
+const CAPABILITIES = {
+  optimistic: 'optimistic transfers',
+  universal: 'conditional transfers',
+  messaging: 'messaging',
+  multiparty: 'transfers between more than two accounts',
+  limit: 'getLimit',
+  peerBalance: 'getPeerBalance',
+  declaredMinBalance: 'checking the exact minimum balance of the first account',
+  declaredLimit: 'checking the exact limit of the first account',
+  store: 'a store passed in opts._store',
+  unreachable: 'failing to connect to an unreachable ledger',
+  requiredOptions: 'rejecting invalid constructor options',
+  requests: 'sendRequest and registerRequestHandler',
+  requestTimeout: 'timing out requests after the config\'s requestTimeout',
+  transferHandlers: 'registerTransferHandler'
+}
+
+const hasMethod = versions.hasMethod
+
+// the parts of the interface that only one version of it has (see
+// ./versions), and so only plugins for that version support
+const forVersion = (version, check, reason) => ({
+  check: (config) => versions.implementsAny(config, [ version ]) && check(config),
+  reason: (config) => versions.implementsAny(config, [ version ]) ? reason
+    : 'the plugin does not implement version ' + version + ' of the interface'
+})
+const always = () => true
+
+const declaredForFirst = (config, field) => {
+  return Array.isArray(config.options) && !!config.options[0] &&
+    config.options[0][field] !== undefined
+}
+
+// capabilities which also need something from the rest of the config, and
+// why they are missing without it
+const REQUIRES = {
+  optimistic: forVersion(1, always),
+  universal: forVersion(1, always),
+  messaging: forVersion(1, always),
+  multiparty: {
+    check: (config) => Array.isArray(config.options) && config.options.length >= 3,
+    reason: 'the config has fewer than three entries in options'
+  },
+  limit: {
+    check: (config) => hasMethod(config.plugin, 'getLimit'),
+    reason: 'the plugin has no getLimit method'
+  },
+  peerBalance: {
+    check: (config) => hasMethod(config.plugin, 'getPeerBalance'),
+    reason: 'the plugin has no getPeerBalance method'
+  },
+  declaredMinBalance: {
+    check: (config) => declaredForFirst(config, 'minBalance'),
+    reason: 'the config declares no minBalance in options[0]'
+  },
+  declaredLimit: {
+    check: (config) => declaredForFirst(config, 'limit'),
+    reason: 'the config declares no limit in options[0]'
+  },
+  store: {
+    check: (config) => typeof config.store === 'function',
+    reason: 'the config has no store factory'
+  },
+  unreachable: {
+    check: (config) => !!config.unreachable && Object.keys(config.unreachable).length > 0,
+    reason: 'the config has no unreachable options'
+  },
+  requiredOptions: {
+    check: (config) => Array.isArray(config.requiredOptions) &&
+      config.requiredOptions.length > 0,
+    reason: 'the config has no list of requiredOptions'
+  },
+  requests: forVersion(2, (config) => hasMethod(config.plugin, 'sendRequest') &&
+      hasMethod(config.plugin, 'registerRequestHandler'),
+    'the plugin has no sendRequest or registerRequestHandler method'),
+  requestTimeout: {
+    check: (config) => typeof config.requestTimeout === 'number',
+    reason: 'the config has no requestTimeout'
+  },
+  transferHandlers: forVersion(2, (config) => hasMethod(config.plugin, 'registerTransferHandler'),
+    'the plugin has no registerTransferHandler method')
+}
+
+const declaredUnsupported = (config, name) => {
+  return !!config.capabilities && config.capabilities[name] === false
+}
+
+/**
+ * Check whether a config declares support for a capability.
+ */
+function supports (config, name) {
+  if (!CAPABILITIES[name]) {
+    throw new Error('unknown capability: ' + name)
+  }
+
+  if (declaredUnsupported(config, name)) return false
+  return !REQUIRES[name] || REQUIRES[name].check(config)
+}
+
+/**
+ * Check whether a plugin should refuse to use a capability: the config
+ * declares it unsupported, although the plugin could otherwise have it.
+ */
+function refuses (config, name) {
+  return declaredUnsupported(config, name) &&
+    (!REQUIRES[name] || REQUIRES[name].check(config))
+}
+
+/**
+ * Explain why tests that need a capability are skipped.
+ */
+function skipReason (config, name) {
+  if (REQUIRES[name] && !declaredUnsupported(config, name)) {
+    const reason = REQUIRES[name].reason
+    return (typeof reason === 'function') ? reason(config) : reason
+  }
+
+  return 'plugin does not support ' + CAPABILITIES[name] +
+    ' (capabilities.' + name + ' is false)'
+}
+
+module.exports = { CAPABILITIES, REQUIRES, supports, refuses, skipReason, hasMethod }
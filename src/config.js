@@ -0,0 +1,46 @@
+'use strict'
+
+const path = require('path')
+const validateConfig = require('./validateConfig')
+
+let current = null
+
+/**
+ * Set the config that the specs will be run against. A config is an object
+ * with the plugin constructor (`plugin`), a list of options for two plugin
+ * instances (`options`) and the time in milliseconds that a transfer needs in
+ * order to go through (`timeout`). Throws an InvalidConfigError listing every
+ * problem if the config is invalid.
+ */
+function setConfig (config) {
+  const problems = validateConfig(config)
+  if (problems.length) {
+    const error = new Error('FATAL: invalid test config:\n' + problems
+      .map((problem) => '  - ' + problem.path + ': ' + problem.message)
+      .join('\n'))
+    error.name = 'InvalidConfigError'
+    error.problems = problems
+    throw error
+  }
+
+  current = config
+}
+
+/**
+ * Get the config that the specs are being run against. If none has been set
+ * through `runSuite`, the file named by ILP_PLUGIN_TEST_CONFIG is loaded.
+ */
+function getConfig () {
+  if (current) return current
+
+  const file = process.env.ILP_PLUGIN_TEST_CONFIG
+  if (!file) {
+    throw new Error('FATAL: no config given. Set ILP_PLUGIN_TEST_CONFIG ' +
+      'or call runSuite() with a config')
+  }
+
+  setConfig(require(path.resolve(file)))
+  return current
+}
+
+module.exports = { setConfig, getConfig }
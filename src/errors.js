@@ -0,0 +1,22 @@
+'use strict'
+
+/**
+ * The errors of the LedgerPlugin interface, by name, with when each of them
+ * is used. A negative test expects one of these, unless the interface has no
+ * error for the failure; then any Error with a message will do.
+ */
+const ERRORS = {
+  InvalidFieldsError: 'a transfer, message or request is malformed',
+  DuplicateIdError: 'a transfer has the id of an earlier, different transfer',
+  TransferNotFoundError: 'there is no transfer with the id, or the account may not see it',
+  TransferNotConditionalError: 'an optimistic transfer is fulfilled or rejected',
+  NotAcceptedError: 'the ledger or the receiver refuses the call',
+  AlreadyRolledBackError: 'a transfer has already been rejected or has expired',
+  AlreadyFulfilledError: 'a transfer has already been fulfilled',
+  MissingFulfillmentError: 'a transfer has not been fulfilled yet',
+  InsufficientBalanceError: 'the sender does not have enough to send a transfer',
+  RequestHandlerAlreadyRegisteredError: 'a request handler is already registered',
+  TransferHandlerAlreadyRegisteredError: 'a transfer handler is already registered'
+}
+
+module.exports = { ERRORS }
@@ -0,0 +1,105 @@
+'use strict'
+
+const TRANSFER_EVENT = /^(incoming|outgoing)_(transfer|prepare|fulfill|reject|cancel)$/
+// the state that a transfer is in after each event
+const STATES = {
+  transfer: 'optimistic',
+  prepare: 'prepared',
+  fulfill: 'fulfilled',
+  reject: 'rejected',
+  cancel: 'cancelled'
+}
+const TERMINAL = [ 'fulfilled', 'rejected', 'cancelled' ]
+
+/**
+ * Checks every event that watched plugins emit against the transfer state
+ * machine:
+ *
+ * - a transfer is either optimistic (`*_transfer`) or conditional
+ *   (`*_prepare`), and optimistic transfers never get any other event
+ * - a prepared transfer gets exactly one of `*_fulfill`, `*_reject` or
+ *   `*_cancel`, and nothing after that
+ * - a plugin emits no events while it is disconnected
+ *
+ * Plugin instances are tracked separately, since an instance can connect
+ * after a transfer was prepared and only see how it ended. The outcome of
+ * each transfer is also tracked across instances, so that two instances
+ * can't disagree about it.
+ *
+ * `onViolation` is called with an Error describing each illegal event, when
+ * the event is emitted.
+ */
+class LifecycleChecker {
+  constructor (onViolation) {
+    this.onViolation = onViolation
+    // full title of the test that is running, to say where a transfer came from
+    this.currentTest = null
+    // state of every transfer seen by any instance, by direction and id
+    this._outcomes = {}
+  }
+
+  /**
+   * Start checking the events that a plugin instance emits.
+   */
+  watch (plugin) {
+    const state = { connected: false, transfers: {} }
+    const emit = plugin.emit
+    const checker = this
+
+    plugin.emit = function (event, transfer) {
+      checker._check(state, event, transfer)
+      return emit.apply(this, arguments)
+    }
+  }
+
+  _check (state, event, transfer) {
+    if (event === 'connect') {
+      state.connected = true
+      return
+    }
+    if (event === 'disconnect') {
+      state.connected = false
+      return
+    }
+    if (!state.connected) {
+      this._violation('emitted "' + event + '" while disconnected')
+      return
+    }
+
+    const match = event.match(TRANSFER_EVENT)
+    if (!match || !transfer || transfer.id === undefined) return
+
+    const key = match[1] + ':' + transfer.id
+    const next = STATES[match[2]]
+    const seen = state.transfers[key]
+    const outcome = this._outcomes[key] = this._outcomes[key] ||
+      { state: null, test: this.currentTest }
+    const describe = 'emitted "' + event + '" for transfer ' + transfer.id +
+      (outcome.test && outcome.test !== this.currentTest
+        ? ' (first seen in "' + outcome.test + '")' : '')
+
+    if (seen === 'optimistic' || (outcome.state === 'optimistic' && next !== 'optimistic')) {
+      this._violation(describe + ', but it is an optimistic transfer')
+    } else if (next === 'optimistic' || next === 'prepared') {
+      // other instances for the same account may have seen it start too
+      if (seen || (outcome.state && outcome.state !== next)) {
+        this._violation(describe + ', but it was already ' + (seen || outcome.state))
+      }
+    } else if (TERMINAL.indexOf(seen) !== -1) {
+      this._violation(describe + ', but it was already ' + seen)
+    } else if (TERMINAL.indexOf(outcome.state) !== -1 && outcome.state !== next) {
+      this._violation(describe + ', but another instance saw it ' + outcome.state)
+    }
+
+    state.transfers[key] = next
+    outcome.state = next
+  }
+
+  _violation (message) {
+    const error = new Error('illegal event: plugin ' + message)
+    error.name = 'LifecycleError'
+    this.onViolation(error)
+  }
+}
+
+module.exports = LifecycleChecker
@@ -0,0 +1,21 @@
+'use strict'
+
+const ERRORS = require('../errors').ERRORS
+
+const makeError = (name) => {
+  return class extends Error {
+    constructor (message) {
+      super(message)
+      this.name = name
+    }
+  }
+}
+
+// a class for each error of the interface (see ../errors)
+Object.keys(ERRORS).forEach((name) => {
+  module.exports[name] = makeError(name)
+})
+
+// and for the failures that the interface has no error for
+module.exports.NotConnectedError = makeError('NotConnectedError')
+module.exports.RequestTimedOutError = makeError('RequestTimedOutError')
@@ -0,0 +1,544 @@
+'use strict'
+
+const crypto = require('crypto')
+const EventEmitter = require('events')
+const BigNumber = require('bignumber.js')
+const errors = require('./errors')
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+const INTEGER = /^[0-9]+$/
+// 32 bytes, base64url encoded without padding
+const FULFILLMENT = /^[A-Za-z0-9_-]{43}$/
+const CONDITION = FULFILLMENT
+
+const base64url = (buffer) => {
+  return buffer.toString('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+}
+
+const conditionOf = (fulfillment) => {
+  const preimage = Buffer.from(fulfillment, 'base64')
+  return base64url(crypto.createHash('sha256').update(preimage).digest())
+}
+
+// an ISO 8601 timestamp in UTC
+const TIMESTAMP = /^[0-9]{4}-[0-9]{2}-[0-9]{2}T[0-9]{2}:[0-9]{2}:[0-9]{2}(\.[0-9]+)?Z$/
+
+const isValidDate = (date) => {
+  return typeof date === 'string' && !!date.match(TIMESTAMP) &&
+    !isNaN(Date.parse(date))
+}
+
+// an ILP error code: a letter for the class of error and two digits
+const ERROR_CODE = /^[A-Z][0-9]{2}$/
+const ADDRESS = /^[a-zA-Z0-9._~-]+$/
+
+// throws InvalidFieldsError unless `reason` is a well-formed rejection message
+const checkReason = (reason) => {
+  if (!reason || typeof reason !== 'object' || Array.isArray(reason)) {
+    throw new errors.InvalidFieldsError('reason must be an object')
+  }
+  if (typeof reason.code !== 'string' || !reason.code.match(ERROR_CODE)) {
+    throw new errors.InvalidFieldsError('invalid reason code: ' + reason.code)
+  }
+  if (typeof reason.name !== 'string' || !reason.name) {
+    throw new errors.InvalidFieldsError('reason is missing a name')
+  }
+  if (reason.message !== undefined && typeof reason.message !== 'string') {
+    throw new errors.InvalidFieldsError('reason message must be a string')
+  }
+  if (typeof reason.triggered_by !== 'string' || !reason.triggered_by.match(ADDRESS)) {
+    throw new errors.InvalidFieldsError('invalid triggered_by: ' + reason.triggered_by)
+  }
+  if (!isValidDate(reason.triggered_at)) {
+    throw new errors.InvalidFieldsError('triggered_at must be a UTC timestamp, ' +
+      'got: ' + reason.triggered_at)
+  }
+  if (reason.additional_info !== undefined && (!reason.additional_info ||
+      typeof reason.additional_info !== 'object' || Array.isArray(reason.additional_info))) {
+    throw new errors.InvalidFieldsError('additional_info must be an object')
+  }
+}
+
+// fields which have to match for a transfer with a repeated id to be
+// treated as a retry rather than a different transfer
+const IDENTITY_FIELDS = [ 'from', 'to', 'amount', 'executionCondition', 'expiresAt' ]
+
+/**
+ * An in-memory ledger, shared by every ReferencePlugin that is constructed
+ * with it. It holds the balances and transfers of its accounts, and emits a
+ * "notification" event with the local account name, the LedgerPlugin event
+ * name and its arguments whenever something happens to one of them.
+ *
+ * The methods here are synchronous and throw the LedgerPlugin interface's
+ * errors; the plugin turns them into promises. The exceptions are
+ * `sendRequest`, which has to wait for the receiver's response, and
+ * `sendTransfer` to a receiver with a transfer handler, which waits for the
+ * handler to fulfill or reject the transfer.
+ */
+class ReferenceLedger extends EventEmitter {
+  constructor (opts) {
+    super()
+    opts = opts || {}
+
+    if (typeof opts.prefix !== 'string' || !opts.prefix.match(/\.$/)) {
+      throw new TypeError('opts.prefix must be an ILP prefix ending in "."')
+    }
+
+    this.prefix = opts.prefix
+    this.currencyCode = opts.currencyCode || 'USD'
+    this.currencyScale = (opts.currencyScale === undefined) ? 2 : opts.currencyScale
+    this.minBalance = new BigNumber(opts.minBalance || '0')
+    // an offline ledger never answers plugins that try to connect to it
+    this.offline = !!opts.offline
+
+    this._balances = {}
+    this._transfers = {}
+    // the function of the connected plugin that answers requests, by account
+    this._responders = {}
+    // the transfer handler of the connected plugin, by account
+    this._transferHandlers = {}
+    Object.keys(opts.accounts || {}).forEach((name) => {
+      this._balances[name] = new BigNumber(opts.accounts[name])
+    })
+
+    // every connected plugin listens for notifications
+    this.setMaxListeners(0)
+  }
+
+  getInfo () {
+    return {
+      prefix: this.prefix,
+      currencyCode: this.currencyCode,
+      currencyScale: this.currencyScale,
+      connectors: []
+    }
+  }
+
+  hasAccount (name) {
+    // not `name in`, which would find "constructor" and the like
+    return Object.prototype.hasOwnProperty.call(this._balances, name)
+  }
+
+  getAddress (name) {
+    return this.prefix + name
+  }
+
+  getBalance (name) {
+    return this._balances[name].toFixed()
+  }
+
+  sendTransfer (from, transfer) {
+    if (!transfer || typeof transfer !== 'object') {
+      throw new errors.InvalidFieldsError('transfer must be an object')
+    }
+    if (typeof transfer.id !== 'string' || !transfer.id.match(UUID)) {
+      throw new errors.InvalidFieldsError('invalid id: ' + transfer.id)
+    }
+    if (typeof transfer.account !== 'string') {
+      throw new errors.InvalidFieldsError('invalid account: ' + transfer.account)
+    }
+    this._checkFrom(from, transfer.from)
+    if (typeof transfer.amount !== 'string' || !transfer.amount.match(INTEGER) ||
+        new BigNumber(transfer.amount).lte(0)) {
+      throw new errors.InvalidFieldsError('amount must be a positive integer ' +
+        'string, got: ' + transfer.amount)
+    }
+    if (transfer.executionCondition !== undefined &&
+        (typeof transfer.executionCondition !== 'string' ||
+         !transfer.executionCondition.match(CONDITION))) {
+      throw new errors.InvalidFieldsError('invalid executionCondition: ' +
+        transfer.executionCondition)
+    }
+    if ((transfer.executionCondition === undefined) !== (transfer.expiresAt === undefined)) {
+      throw new errors.InvalidFieldsError('executionCondition and expiresAt ' +
+        'must be given together')
+    }
+    if (transfer.expiresAt !== undefined && !isValidDate(transfer.expiresAt)) {
+      throw new errors.InvalidFieldsError('expiresAt must be a UTC timestamp, ' +
+        'got: ' + transfer.expiresAt)
+    }
+
+    const to = this._getName(transfer.account)
+    const record = {
+      id: transfer.id.toLowerCase(),
+      from: from,
+      to: to,
+      amount: new BigNumber(transfer.amount).toFixed(),
+      executionCondition: transfer.executionCondition,
+      expiresAt: transfer.expiresAt,
+      ilp: transfer.ilp,
+      data: transfer.data,
+      noteToSelf: transfer.noteToSelf,
+      custom: transfer.custom,
+      state: transfer.executionCondition ? 'prepared' : 'executed'
+    }
+
+    const existing = this._transfers[record.id]
+    if (existing) {
+      const same = IDENTITY_FIELDS.every((field) => existing[field] === record[field])
+      if (!same) {
+        throw new errors.DuplicateIdError('transfer ' + record.id +
+          ' already exists with different fields')
+      }
+      // a retry of a transfer which already went through
+      return
+    }
+
+    if (!to) {
+      throw new errors.InvalidFieldsError('unknown account: ' + transfer.account)
+    }
+    if (record.expiresAt !== undefined && Date.parse(record.expiresAt) <= Date.now()) {
+      throw new errors.InvalidFieldsError('expiresAt has already passed: ' +
+        record.expiresAt)
+    }
+
+    const balance = this._balances[from].minus(record.amount)
+    if (balance.lt(this.minBalance)) {
+      throw new errors.InsufficientBalanceError('balance of ' + from +
+        ' is too low to send ' + record.amount)
+    }
+
+    this._transfers[record.id] = record
+    this._balances[from] = balance
+
+    const handler = this._transferHandlers[to]
+    if (record.state === 'executed') {
+      this._balances[to] = this._balances[to].plus(record.amount)
+      this._notifyBoth(record, 'transfer', [])
+      // there is nothing for the handler to decide on
+      if (handler) Promise.resolve(this._view(record, 'incoming')).then(handler).catch(() => {})
+      return
+    }
+
+    // the funds are held until the transfer is fulfilled, rejected or expires
+    const expiry = Date.parse(record.expiresAt) - Date.now()
+    record.timer = setTimeout(() => this._expire(record), Math.max(expiry, 0))
+    if (record.timer.unref) record.timer.unref()
+
+    this._notifyBoth(record, 'prepare', [])
+
+    if (handler) return this._handleTransfer(handler, record)
+  }
+
+  fulfillCondition (name, id, fulfillment) {
+    if (typeof fulfillment !== 'string' || !fulfillment.match(FULFILLMENT)) {
+      throw new errors.InvalidFieldsError('invalid fulfillment: ' + fulfillment)
+    }
+
+    const record = this._getTransfer(name, id)
+    if (!record.executionCondition) {
+      throw new errors.TransferNotConditionalError('transfer ' + id +
+        ' does not have a condition')
+    }
+    if (record.to !== name) {
+      throw new errors.NotAcceptedError('only the receiver can fulfill ' +
+        'transfer ' + id)
+    }
+    if (record.state === 'rejected') {
+      throw new errors.AlreadyRolledBackError('transfer ' + id +
+        ' has already been rolled back')
+    }
+    if (conditionOf(fulfillment) !== record.executionCondition) {
+      throw new errors.NotAcceptedError('fulfillment does not match the ' +
+        'condition of transfer ' + id)
+    }
+
+    // fulfilling an executed transfer again is not an error
+    if (record.state === 'executed') return
+
+    clearTimeout(record.timer)
+    record.state = 'executed'
+    record.fulfillment = fulfillment
+    this._balances[record.to] = this._balances[record.to].plus(record.amount)
+    this._notifyBoth(record, 'fulfill', [ fulfillment ])
+  }
+
+  rejectIncomingTransfer (name, id, reason) {
+    checkReason(reason)
+
+    const record = this._getTransfer(name, id)
+    if (!record.executionCondition) {
+      throw new errors.TransferNotConditionalError('transfer ' + id +
+        ' does not have a condition')
+    }
+    if (record.to !== name) {
+      throw new errors.NotAcceptedError('only the receiver can reject ' +
+        'transfer ' + id)
+    }
+    if (record.state === 'executed') {
+      throw new errors.AlreadyFulfilledError('transfer ' + id +
+        ' has already been fulfilled')
+    }
+    if (record.state === 'rejected') return
+
+    this._rollback(record, reason)
+    this._notifyBoth(record, 'reject', [ reason ])
+  }
+
+  getFulfillment (name, id) {
+    const record = this._getTransfer(name, id)
+    if (!record.executionCondition) {
+      throw new errors.TransferNotConditionalError('transfer ' + id +
+        ' does not have a condition')
+    }
+    if (record.state === 'rejected') {
+      throw new errors.AlreadyRolledBackError('transfer ' + id +
+        ' has already been rolled back')
+    }
+    if (record.state === 'prepared') {
+      throw new errors.MissingFulfillmentError('transfer ' + id +
+        ' has not been fulfilled yet')
+    }
+
+    return record.fulfillment
+  }
+
+  sendMessage (from, message) {
+    if (!message || typeof message !== 'object') {
+      throw new errors.InvalidFieldsError('message must be an object')
+    }
+    if (message.ledger !== this.prefix) {
+      throw new errors.InvalidFieldsError('ledger must be ' + this.prefix +
+        ', got: ' + message.ledger)
+    }
+    if (typeof message.account !== 'string') {
+      throw new errors.InvalidFieldsError('invalid account: ' + message.account)
+    }
+    this._checkFrom(from, message.from)
+    if (message.data === undefined) {
+      throw new errors.InvalidFieldsError('message is missing data')
+    }
+
+    const to = this._getName(message.account)
+    if (!to) {
+      throw new errors.InvalidFieldsError('unknown account: ' + message.account)
+    }
+
+    this._notify(to, 'incoming_message', [ {
+      ledger: this.prefix,
+      account: this.getAddress(from),
+      from: this.getAddress(from),
+      to: this.getAddress(to),
+      data: message.data
+    } ])
+  }
+
+  /**
+   * Pass a request to the plugin that answers requests for its receiver, and
+   * resolve to that plugin's response, addressed back to the sender.
+   */
+  sendRequest (from, message) {
+    if (!message || typeof message !== 'object') {
+      throw new errors.InvalidFieldsError('request must be an object')
+    }
+    if (typeof message.id !== 'string' || !message.id.match(UUID)) {
+      throw new errors.InvalidFieldsError('invalid id: ' + message.id)
+    }
+    if (message.ledger !== this.prefix) {
+      throw new errors.InvalidFieldsError('ledger must be ' + this.prefix +
+        ', got: ' + message.ledger)
+    }
+    this._checkFrom(from, message.from)
+
+    const to = this._getName(message.to)
+    if (!to) {
+      throw new errors.InvalidFieldsError('unknown account: ' + message.to)
+    }
+    const responder = this._responders[to]
+    if (!responder) {
+      throw new errors.NotAcceptedError(message.to + ' is not answering requests')
+    }
+
+    return responder(this._message(message, from, to)).then((response) => {
+      if (!response || typeof response !== 'object') {
+        throw new errors.InvalidFieldsError('the response to request ' +
+          message.id + ' must be an object')
+      }
+      return this._message(Object.assign({}, response, { id: message.id }), to, from)
+    })
+  }
+
+  // the connected plugin for an account answers its requests with
+  // `responder`. Only the latest plugin to connect does, so it is only
+  // removed if it is still that plugin's.
+  setResponder (name, responder) {
+    this._responders[name] = responder
+  }
+
+  removeResponder (name, responder) {
+    if (this._responders[name] === responder) delete this._responders[name]
+  }
+
+  // the connected plugin for an account decides on its incoming transfers
+  // with `handler`, the same way as with responders
+  setTransferHandler (name, handler) {
+    this._transferHandlers[name] = handler
+  }
+
+  removeTransferHandler (name, handler) {
+    if (this._transferHandlers[name] === handler) delete this._transferHandlers[name]
+  }
+
+  // passes a prepared transfer to its receiver's handler, which resolves to
+  // the fulfillment (and optionally `ilp` data for the sender). The transfer
+  // is rejected if the handler fails or gives the wrong fulfillment. Resolves
+  // to what the handler gave once the transfer is fulfilled, and rejects if
+  // it is rejected or expires instead.
+  _handleTransfer (handler, record) {
+    const outcome = this._outcome(record)
+
+    Promise.resolve(this._view(record, 'incoming')).then(handler).then((result) => {
+      if (!result || typeof result !== 'object') {
+        throw new errors.InvalidFieldsError('the transfer handler must ' +
+          'resolve to an object with the fulfillment')
+      }
+      record.fulfillmentData = result.ilp
+      this.fulfillCondition(record.to, record.id, result.fulfillment)
+    }).catch((e) => {
+      // the transfer may have been fulfilled, rejected or expired meanwhile
+      if (record.state !== 'prepared') return
+
+      this.rejectIncomingTransfer(record.to, record.id, {
+        code: 'F00',
+        name: 'Bad Request',
+        message: (e && e.message) || 'the transfer handler failed',
+        triggered_by: this.getAddress(record.to),
+        triggered_at: new Date().toISOString(),
+        additional_info: {}
+      })
+    })
+
+    return outcome
+  }
+
+  // settles when the sender of a prepared transfer is notified how it ended
+  _outcome (record) {
+    return new Promise((resolve, reject) => {
+      const listener = (name, event, args) => {
+        if (name !== record.from || args[0].id !== record.id) return
+
+        if (event === 'outgoing_fulfill') {
+          const info = { fulfillment: args[1] }
+          if (record.fulfillmentData !== undefined) info.ilp = record.fulfillmentData
+          resolve(info)
+        } else if (event === 'outgoing_reject' || event === 'outgoing_cancel') {
+          reject(new errors.NotAcceptedError('transfer ' + record.id + ' was ' +
+            (event === 'outgoing_reject' ? 'rejected' : 'cancelled') + ': ' +
+            args[1].message))
+        } else {
+          return
+        }
+        this.removeListener('notification', listener)
+      }
+      this.on('notification', listener)
+    })
+  }
+
+  // a request or response as the plugins see it
+  _message (message, from, to) {
+    const view = {
+      id: message.id,
+      ledger: this.prefix,
+      from: this.getAddress(from),
+      to: this.getAddress(to)
+    }
+
+    const optional = [ 'ilp', 'custom' ]
+    optional.forEach((field) => {
+      if (message[field] !== undefined) view[field] = message[field]
+    })
+
+    return view
+  }
+
+  _getName (address) {
+    if (typeof address !== 'string' || address.indexOf(this.prefix) !== 0) {
+      return null
+    }
+
+    const name = address.slice(this.prefix.length)
+    return this.hasAccount(name) ? name : null
+  }
+
+  // `from` is optional, but an account can only send from itself
+  _checkFrom (name, address) {
+    if (address !== undefined && address !== this.getAddress(name)) {
+      throw new errors.NotAcceptedError(name + ' cannot send from ' + address)
+    }
+  }
+
+  _getTransfer (name, id) {
+    const record = (typeof id === 'string') && this._transfers[id.toLowerCase()]
+    // transfers between other accounts are treated as if they did not exist
+    if (!record || (record.from !== name && record.to !== name)) {
+      throw new errors.TransferNotFoundError('no transfer with id ' + id)
+    }
+
+    // the expiry timer may not have fired yet, but the transfer has expired
+    if (record.state === 'prepared' && Date.parse(record.expiresAt) <= Date.now()) {
+      this._expire(record)
+    }
+
+    return record
+  }
+
+  _rollback (record, reason) {
+    clearTimeout(record.timer)
+    record.state = 'rejected'
+    record.rejectionReason = reason
+    this._balances[record.from] = this._balances[record.from].plus(record.amount)
+  }
+
+  _expire (record) {
+    if (record.state !== 'prepared') return
+
+    const reason = {
+      code: 'R00',
+      name: 'Transfer Timed Out',
+      message: 'transfer expired at ' + record.expiresAt,
+      triggered_by: this.prefix,
+      triggered_at: new Date().toISOString(),
+      additional_info: {}
+    }
+
+    this._rollback(record, reason)
+    this._notifyBoth(record, 'cancel', [ reason ])
+  }
+
+  // the sender sees `account` as the receiver and the receiver sees it as
+  // the sender. `noteToSelf` is only given back to the sender.
+  _view (record, direction) {
+    const view = {
+      id: record.id,
+      ledger: this.prefix,
+      account: this.getAddress(direction === 'outgoing' ? record.to : record.from),
+      from: this.getAddress(record.from),
+      to: this.getAddress(record.to),
+      amount: record.amount
+    }
+
+    const optional = [ 'executionCondition', 'expiresAt', 'ilp', 'data', 'custom' ]
+    if (direction === 'outgoing') optional.push('noteToSelf')
+    optional.forEach((field) => {
+      if (record[field] !== undefined) view[field] = record[field]
+    })
+
+    return view
+  }
+
+  _notifyBoth (record, event, args) {
+    this._notify(record.from, 'outgoing_' + event,
+      [ this._view(record, 'outgoing') ].concat(args))
+    this._notify(record.to, 'incoming_' + event,
+      [ this._view(record, 'incoming') ].concat(args))
+  }
+
+  _notify (name, event, args) {
+    this.emit('notification', name, event, args)
+  }
+}
+
+module.exports = ReferenceLedger
@@ -0,0 +1,230 @@
+'use strict'
+
+const EventEmitter = require('events')
+const ReferenceLedger = require('./ledger')
+const errors = require('./errors')
+
+const DEFAULT_REQUEST_TIMEOUT = 30000
+
+/**
+ * A LedgerPlugin for an account on a ReferenceLedger. Plugins constructed with
+ * the same ledger can send transfers and messages to one another in-process.
+ *
+ * Options:
+ * - `ledger`: the ReferenceLedger that the account is on
+ * - `account`: the local name of the account, e.g. "alice"
+ * - `requestTimeout`: how long `sendRequest` waits for a response, in
+ *   milliseconds. Defaults to 30 seconds.
+ * - `_store`: optional, a store with promise-returning `get`, `put` and `del`,
+ *   that the plugin keeps the transfers it took part in and their
+ *   fulfillments in
+ */
+class ReferencePlugin extends EventEmitter {
+  constructor (opts) {
+    super()
+
+    if (!opts) {
+      throw new TypeError('opts are required')
+    }
+    if (!(opts.ledger instanceof ReferenceLedger)) {
+      throw new TypeError('opts.ledger must be a ReferenceLedger')
+    }
+    if (typeof opts.account !== 'string' || !opts.ledger.hasAccount(opts.account)) {
+      throw new TypeError('opts.account must be an account on the ledger, ' +
+        'got: ' + opts.account)
+    }
+
+    this._ledger = opts.ledger
+    this._account = opts.account
+    this._requestTimeout = opts.requestTimeout || DEFAULT_REQUEST_TIMEOUT
+    this._store = opts._store || null
+    this._connected = false
+    this._requestHandler = null
+    this._transferHandler = null
+
+    this._handleNotification = (name, event, args) => {
+      if (name !== this._account) return
+      this._save(event, args)
+      this.emit.apply(this, [ event ].concat(args))
+    }
+
+    this._respond = (request) => {
+      if (!this._requestHandler) {
+        return Promise.reject(new errors.NotAcceptedError('no request handler ' +
+          'is registered for ' + this.getAccount()))
+      }
+      return Promise.resolve(request).then(this._requestHandler)
+    }
+  }
+
+  connect (opts) {
+    if (this._ledger.offline) {
+      // give up once the timeout has run out, like a plugin for a ledger
+      // that can't be reached
+      const timeout = (opts && opts.timeout) || 0
+      return new Promise((resolve, reject) => {
+        setTimeout(() => reject(new errors.NotConnectedError('could not reach ledger ' +
+          this._ledger.prefix + ' within ' + timeout + 'ms')), timeout)
+      })
+    }
+
+    if (!this._connected) {
+      this._ledger.on('notification', this._handleNotification)
+      this._ledger.setResponder(this._account, this._respond)
+      if (this._transferHandler) {
+        this._ledger.setTransferHandler(this._account, this._transferHandler)
+      }
+      this._connected = true
+      this.emit('connect')
+    }
+
+    return Promise.resolve(null)
+  }
+
+  disconnect () {
+    if (this._connected) {
+      this._ledger.removeListener('notification', this._handleNotification)
+      this._ledger.removeResponder(this._account, this._respond)
+      this._ledger.removeTransferHandler(this._account, this._transferHandler)
+      this._connected = false
+      this.emit('disconnect')
+    }
+
+    return Promise.resolve(null)
+  }
+
+  isConnected () {
+    return this._connected
+  }
+
+  getInfo () {
+    return this._ledger.getInfo()
+  }
+
+  getAccount () {
+    return this._ledger.getAddress(this._account)
+  }
+
+  getBalance () {
+    return this._request(() => this._ledger.getBalance(this._account))
+  }
+
+  // how far the balance may go below zero
+  getLimit () {
+    return this._request(() => this._ledger.minBalance.neg().toFixed())
+  }
+
+  // resolves to null once the transfer is prepared, unless the receiver has a
+  // transfer handler. Then it resolves to the fulfillment once the handler has
+  // fulfilled the transfer.
+  sendTransfer (transfer) {
+    return this._request(() => this._ledger.sendTransfer(this._account, transfer))
+      .then((result) => result || null)
+  }
+
+  sendMessage (message) {
+    return this._call(() => this._ledger.sendMessage(this._account, message))
+  }
+
+  fulfillCondition (transferId, fulfillment) {
+    return this._call(() =>
+      this._ledger.fulfillCondition(this._account, transferId, fulfillment))
+  }
+
+  rejectIncomingTransfer (transferId, reason) {
+    return this._call(() =>
+      this._ledger.rejectIncomingTransfer(this._account, transferId, reason))
+  }
+
+  // a fulfillment that the plugin stored comes from the store, and anything
+  // else from the ledger
+  getFulfillment (transferId) {
+    return this._request(() => this._store && this._store.get('fulfillment_' + transferId))
+      .then((stored) => stored || this._request(() =>
+        this._ledger.getFulfillment(this._account, transferId)))
+  }
+
+  sendRequest (message) {
+    const response = this._request(() => this._ledger.sendRequest(this._account, message))
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        reject(new errors.RequestTimedOutError('no response to request ' +
+          (message && message.id) + ' within ' + this._requestTimeout + 'ms'))
+      }, this._requestTimeout)
+
+      response.then(resolve, reject).then(() => clearTimeout(timer))
+    })
+  }
+
+  registerRequestHandler (handler) {
+    if (this._requestHandler) {
+      throw new errors.RequestHandlerAlreadyRegisteredError('a request handler ' +
+        'is already registered')
+    }
+    if (typeof handler !== 'function') {
+      throw new errors.InvalidFieldsError('the request handler must be a function')
+    }
+
+    this._requestHandler = handler
+    return null
+  }
+
+  deregisterRequestHandler () {
+    this._requestHandler = null
+    return null
+  }
+
+  registerTransferHandler (handler) {
+    if (this._transferHandler) {
+      throw new errors.TransferHandlerAlreadyRegisteredError('a transfer handler ' +
+        'is already registered')
+    }
+    if (typeof handler !== 'function') {
+      throw new errors.InvalidFieldsError('the transfer handler must be a function')
+    }
+
+    this._transferHandler = handler
+    if (this._connected) this._ledger.setTransferHandler(this._account, handler)
+    return null
+  }
+
+  deregisterTransferHandler () {
+    this._ledger.removeTransferHandler(this._account, this._transferHandler)
+    this._transferHandler = null
+    return null
+  }
+
+  // keeps a transfer from a notification, or its fulfillment, in the store
+  _save (event, args) {
+    if (!this._store) return
+
+    const type = event.replace(/^(incoming|outgoing)_/, '')
+    const written = (type === 'prepare' || type === 'transfer')
+      ? this._store.put('transfer_' + args[0].id, JSON.stringify(args[0]))
+      : (type === 'fulfill')
+      ? this._store.put('fulfillment_' + args[0].id, args[1])
+      : null
+
+    // the ledger still has whatever failed to be written
+    if (written) written.catch(() => {})
+  }
+
+  // runs a ledger operation, turning what it throws into a rejection, and
+  // resolves to what it returns. The plugin has to be connected.
+  _request (fn) {
+    return new Promise((resolve) => {
+      if (!this._connected) {
+        throw new errors.NotConnectedError('the plugin for ' + this._account +
+          ' is not connected')
+      }
+      resolve(fn())
+    })
+  }
+
+  // like _request, but resolves to null as the interface requires
+  _call (fn) {
+    return this._request(fn).then(() => null)
+  }
+}
+
+module.exports = ReferencePlugin
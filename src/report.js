@@ -0,0 +1,109 @@
+'use strict'
+
+const capabilities = require('./capabilities')
+const requirements = require('./requirements')
+const versions = require('./versions')
+const pkg = require('../package.json')
+
+const STATES = {
+  passed: 'passed',
+  failed: 'failed',
+  pending: 'skipped'
+}
+
+const applies = (config, requirement) => {
+  if (requirement.versions && !versions.implementsAny(config, requirement.versions)) {
+    return false
+  }
+
+  return requirement.capabilities.every((name) => {
+    return name[0] === '!'
+      ? capabilities.refuses(config, name.slice(1))
+      : capabilities.supports(config, name)
+  })
+}
+
+const count = (list, level) => {
+  const matching = list.filter((requirement) => {
+    return requirement.level === level && requirement.status !== 'not-applicable'
+  })
+  const withStatus = (status) => matching.filter((r) => r.status === status).length
+  return {
+    total: matching.length,
+    passed: withStatus('passed'),
+    failed: withStatus('failed'),
+    skipped: withStatus('skipped'),
+    notRun: withStatus('not-run')
+  }
+}
+
+/**
+ * Build a conformance report from the result of `runSuite`. Every requirement
+ * in ./requirements is listed with the section of the interface that it
+ * checks and its status: "passed", "failed", "skipped", "not-run" (left out
+ * by `only` or `grep`, or after a failed hook) or "not-applicable" (because
+ * of the plugin's declared capabilities, or because it is for another version
+ * of the interface).
+ *
+ * Requirements which need a capability are optional, the others required. A
+ * plugin is conformant if every requirement that applies to it passed.
+ */
+function buildReport (result, config) {
+  const tests = {}
+  result.tests.forEach((test) => {
+    tests[test.fullTitle] = test
+  })
+
+  const mapped = {}
+  const list = requirements.REQUIREMENTS.map((requirement) => {
+    mapped[requirement.test] = true
+    const test = tests[requirement.test]
+    const status = !applies(config, requirement) ? 'not-applicable'
+      : !test ? 'not-run'
+      : STATES[test.state]
+
+    return {
+      id: requirement.id,
+      level: requirement.capabilities.length ? 'optional' : 'required',
+      section: requirement.section,
+      test: requirement.test,
+      status: status,
+      error: (test && test.error) ? test.error.message : null
+    }
+  })
+
+  const required = count(list, 'required')
+  const optional = count(list, 'optional')
+  const hookFailures = result.tests
+    .filter((test) => test.type === 'hook')
+    .map((hook) => ({ hook: hook.fullTitle, error: hook.error.message }))
+
+  const declared = {}
+  Object.keys(capabilities.CAPABILITIES).forEach((name) => {
+    declared[name] = capabilities.supports(config, name)
+  })
+
+  return {
+    suite: pkg.name + '@' + pkg.version,
+    spec: requirements.SPEC,
+    plugin: config.plugin.name || null,
+    capabilities: declared,
+    interfaceVersions: versions.detectVersions(config),
+    generatedAt: new Date().toISOString(),
+    summary: {
+      conformant: required.passed === required.total &&
+        optional.passed === optional.total && hookFailures.length === 0,
+      required: required,
+      optional: optional,
+      notApplicable: list.filter((r) => r.status === 'not-applicable').length
+    },
+    requirements: list,
+    hookFailures: hookFailures,
+    // tests which ran but are missing from ./requirements
+    unmapped: result.tests
+      .filter((test) => test.type !== 'hook' && !mapped[test.fullTitle])
+      .map((test) => test.fullTitle)
+  }
+}
+
+module.exports = buildReport
@@ -0,0 +1,353 @@
+'use strict'
+
+// the LedgerPlugin interface, which every requirement refers to a section of
+const SPEC = 'https://github.com/interledger/rfcs/blob/master/0004-ledger-plugin-interface/0004-ledger-plugin-interface.md'
+
+/**
+ * Make the requirements for the tests of one describe block. `suite` is the
+ * block's full title, `section` the part of the interface that its tests
+ * check, and `capabilities` what a plugin has to support for them to apply.
+ * A capability starting with "!" means the tests only apply to plugins which
+ * are declared not to support it, and otherwise could. A test can list
+ * capabilities that it needs on top of those of its block.
+ */
+const group = (suite, section, capabilities, tests) => {
+  return tests.map((test) => ({
+    id: test[0],
+    test: suite + ' ' + test[1],
+    section: section,
+    capabilities: capabilities.concat(test[2] || [])
+  }))
+}
+
+// requirements for only some versions of the interface (see ../versions),
+// which don't apply to plugins for the others
+const onlyFor = (versions, requirements) => {
+  return requirements.map((requirement) => Object.assign(requirement, { versions }))
+}
+
+// every test in the suite, by full title. A test which is missing here is
+// listed as unmapped in the conformance report.
+const REQUIREMENTS = [].concat(
+  group('Plugin module', 'Class: LedgerPlugin', [], [
+    [ 'MOD-01', 'should be a constructor' ]
+  ]),
+  group('Plugin shape prototype', 'Class: LedgerPlugin', [], [
+    [ 'SHAPE-01', 'should have every method of the interface' ]
+  ]),
+  group('Plugin shape instance', 'Class: LedgerPlugin', [], [
+    [ 'SHAPE-02', 'should be an EventEmitter' ]
+  ]),
+  group('Plugin shape instance', 'LedgerPlugin.connect', [ 'unreachable' ], [
+    [ 'SHAPE-03', 'should return a promise from connect' ]
+  ]),
+  group('Plugin shape instance', 'LedgerPlugin.disconnect', [], [
+    [ 'SHAPE-04', 'should return a promise from disconnect' ]
+  ]),
+  group('Plugin shape instance', 'LedgerPlugin.sendTransfer', [], [
+    [ 'SHAPE-05', 'should return a promise from sendTransfer' ]
+  ]),
+  group('Plugin shape instance', 'LedgerPlugin.getBalance', [], [
+    [ 'SHAPE-06', 'should return a promise from getBalance' ]
+  ]),
+  group('Plugin shape instance', 'Class: LedgerPlugin', [], [
+    [ 'SHAPE-07', 'should return synchronously from getInfo, getAccount and isConnected' ]
+  ]),
+
+  group('Plugin setup constructor', 'new LedgerPlugin(opts)', [], [
+    [ 'CONN-01', 'should succeed with valid configuration' ],
+    [ 'CONN-02', 'should throw when options are missing' ]
+  ]),
+  group('Plugin setup constructor', 'new LedgerPlugin(opts)', [ 'requiredOptions' ], [
+    [ 'CONN-17', 'should throw when a required option is missing' ],
+    [ 'CONN-18', 'should throw when a required option has the wrong type' ]
+  ]),
+  group('Plugin setup connect', 'LedgerPlugin.connect', [], [
+    [ 'CONN-03', 'should be a function' ],
+    [ 'CONN-04', 'should resolve to null' ],
+    [ 'CONN-05', 'ignores if called twice' ]
+  ]),
+  group('Plugin setup connect to an unreachable ledger', 'LedgerPlugin.connect',
+    [ 'unreachable' ], [
+      [ 'CONN-19', 'should reject within the timeout with an error' ],
+      [ 'CONN-20', 'should not emit "connect"' ],
+      [ 'CONN-21', 'returns "false" from isConnected' ]
+    ]),
+  group('Plugin setup disconnect', 'LedgerPlugin.disconnect', [], [
+    [ 'CONN-06', 'should be a function' ],
+    [ 'CONN-07', 'disconnects and emits "disconnect"' ],
+    [ 'CONN-08', 'should resolve to null' ],
+    [ 'CONN-09', 'returns "false" from isConnected after disconnect' ]
+  ]),
+  group('Plugin setup while disconnected', 'LedgerPlugin.sendTransfer', [], [
+    [ 'CONN-10', 'should reject sendTransfer' ]
+  ]),
+  group('Plugin setup while disconnected', 'LedgerPlugin.sendMessage', [ 'messaging' ], [
+    [ 'CONN-11', 'should reject sendMessage' ]
+  ]),
+  group('Plugin setup while disconnected', 'LedgerPlugin.fulfillCondition', [ 'universal' ], [
+    [ 'CONN-12', 'should reject fulfillCondition' ]
+  ]),
+  group('Plugin setup while disconnected', 'LedgerPlugin.rejectIncomingTransfer',
+    [ 'universal' ], [
+      [ 'CONN-13', 'should reject rejectIncomingTransfer' ]
+    ]),
+  group('Plugin setup while disconnected', 'LedgerPlugin.getBalance', [], [
+    [ 'CONN-14', 'should reject getBalance' ]
+  ]),
+  // these wait for the transfer events of version 1
+  onlyFor([ 1 ],
+    group('Plugin setup while disconnected', 'LedgerPlugin.disconnect', [], [
+      [ 'CONN-15', 'should not emit events for incoming transfers' ],
+      [ 'CONN-16', 'should work again after connecting' ]
+    ])),
+
+  group('Plugin info getInfo', 'LedgerPlugin.getInfo', [], [
+    [ 'INFO-01', 'should be a function' ],
+    [ 'INFO-02', 'should return a promise to object with correct fields' ],
+    [ 'INFO-05', 'should match the LedgerInfo schema' ]
+  ]),
+  group('Plugin info getAccount', 'LedgerPlugin.getAccount', [], [
+    [ 'INFO-06', 'should be the account that the other plugin sends to' ]
+  ]),
+  group('Plugin info getBalance', 'LedgerPlugin.getBalance', [], [
+    [ 'INFO-03', 'should be a function' ],
+    [ 'INFO-04', 'should return a promise to number stored as a string' ]
+  ]),
+
+  group('Plugin balances optimistic transfers', 'LedgerPlugin.getBalance',
+    [ 'optimistic' ], [
+      [ 'BAL-01', 'should move the amount from sender to receiver' ]
+    ]),
+  group('Plugin balances conditional transfers', 'LedgerPlugin.getBalance',
+    [ 'universal' ], [
+      [ 'BAL-02', 'should not credit the receiver while the transfer is prepared' ],
+      [ 'BAL-03', 'should move the amount from sender to receiver when fulfilled' ],
+      [ 'BAL-04', 'should leave balances unchanged when rejected' ],
+      [ 'BAL-05', 'should leave balances unchanged when expired' ]
+    ]),
+  group('Plugin balances insufficient balance', 'LedgerPlugin.sendTransfer', [], [
+    [ 'BAL-06', 'should reject a transfer of more than the available balance' ],
+    [ 'BAL-09', 'should send the whole available balance', [ 'declaredMinBalance', 'universal' ] ]
+  ]),
+  group('Plugin balances getLimit', 'LedgerPlugin.getLimit', [ 'limit' ], [
+    [ 'BAL-07', 'should return a promise to an integer string' ],
+    [ 'BAL-10', 'should return the declared limit', [ 'declaredLimit' ] ]
+  ]),
+  group('Plugin balances getPeerBalance', 'LedgerPlugin.getPeerBalance',
+    [ 'peerBalance' ], [
+      [ 'BAL-08', 'should return a promise to an integer string' ]
+    ]),
+
+  group('Plugin transfers (optimistic) sendTransfer', 'LedgerPlugin.sendTransfer',
+    [ 'optimistic' ], [
+      [ 'OPT-01', 'should be a function' ],
+      [ 'OPT-02', 'should send an optimistic transfer with amount 1' ],
+      [ 'OPT-03', 'should emit a transfer with correct fields with `outgoing_transfer`' ],
+      [ 'OPT-04', 'should emit a transfer with correct fields with `incoming_transfer`' ],
+      [ 'OPT-05', 'should neither throw error nor send twice on optimistic transfer with repeat id' ],
+      [ 'OPT-06', 'should reject transfer with repeat id which does not match original' ],
+      [ 'OPT-07', 'should reject optimistic transfer with amount 0' ],
+      [ 'OPT-08', 'should reject optimistic transfer with amount -1' ],
+      [ 'OPT-09', 'should reject a transfer missing `account`' ],
+      [ 'OPT-10', 'should reject a transfer missing `id`' ],
+      [ 'OPT-11', 'should reject a transfer missing `amount`' ],
+      [ 'OPT-12', 'should reject a transfer with a malformed `amount`' ]
+    ]),
+
+  onlyFor([ 1 ],
+    group('Plugin amounts sendTransfer', 'LedgerPlugin.sendTransfer', [], [
+      [ 'AMT-01', 'should send the smallest unit of the currency' ]
+    ])),
+  group('Plugin amounts sendTransfer', 'LedgerPlugin.sendTransfer', [], [
+    [ 'AMT-02', 'should reject amounts with decimal places' ],
+    [ 'AMT-03', 'should not round amounts beyond Number.MAX_SAFE_INTEGER', [ 'universal' ] ],
+    [ 'AMT-04', 'should reject amounts in exponent notation' ],
+    [ 'AMT-05', 'should reject amounts with a leading `+`' ],
+    [ 'AMT-06', 'should reject amounts with whitespace' ],
+    [ 'AMT-07', 'should reject amounts in hex' ]
+  ]),
+
+  onlyFor([ 1 ], [].concat(
+    group('Plugin transfers (universal) fulfillCondition', 'LedgerPlugin.fulfillCondition',
+      [ 'universal' ], [
+        [ 'COND-01', 'should be a function' ],
+        [ 'COND-02', 'should fulfill transfer with condition and expiry' ],
+        [ 'COND-03', 'should notify the receiver of a fulfillment' ],
+        [ 'COND-04', 'should time out a transfer' ],
+        [ 'COND-05', 'should not fulfill an optimistic transfer', [ 'optimistic' ] ],
+        [ 'COND-06', 'should not fulfill with invalid fulfillment' ],
+        [ 'COND-07', 'should not fulfill with incorrect fulfillment' ],
+        [ 'COND-31', 'should not fulfill with a fulfillment of the wrong length' ],
+        [ 'COND-32', 'should not fulfill with a fulfillment that is not base64url' ],
+        [ 'COND-33', 'should not fulfill with a padded fulfillment' ],
+        [ 'COND-34', "should not fulfill with the fulfillment of another transfer's condition" ],
+        [ 'COND-08', 'should fulfill a transfer twice without error' ],
+        [ 'COND-09', 'should fulfill a transfer after being unsuccessful' ],
+        [ 'COND-10', 'should not fulfill a transfer with a non-matching id' ],
+        [ 'COND-11', 'should not fulfill a transfer after it is rejected' ],
+        [ 'COND-24', 'should notify the receiver when a transfer times out' ],
+        [ 'COND-37', 'should give the reason when a transfer times out' ]
+      ]),
+    group('Plugin transfers (universal) getFulfillment', 'LedgerPlugin.getFulfillment',
+      [ 'universal' ], [
+        [ 'COND-12', 'should get the fulfillment of a completed transfer' ],
+        [ 'COND-13', 'should not get fulfillment of an optimistic transfer', [ 'optimistic' ] ],
+        [ 'COND-14', 'should not get fulfillment after transfer is rejected' ],
+        [ 'COND-15', 'should reject for a nonexistant transfer' ],
+        [ 'COND-16', 'should reject for an incomplete transfer' ]
+      ]),
+    group('Plugin transfers (universal) rejectIncomingTransfer',
+      'LedgerPlugin.rejectIncomingTransfer', [ 'universal' ], [
+        [ 'COND-17', 'should be a function' ],
+        [ 'COND-18', 'should reject a transfer with a condition' ],
+        [ 'COND-19', 'should reject a transfer twice without error' ],
+        [ 'COND-20', 'should not reject an optimistic transfer', [ 'optimistic' ] ],
+        [ 'COND-21', 'should not reject transfer with condition as sender' ],
+        [ 'COND-22', 'should not reject a transfer after it is fulfilled' ],
+        [ 'COND-23', 'should not reject nonexistant transfer' ],
+        [ 'COND-35', 'should give both sides the reason for a rejection' ],
+        [ 'COND-36', 'should not reject a transfer with a malformed reason' ]
+      ]),
+    group('Plugin transfers (universal) expiresAt', 'LedgerPlugin.sendTransfer',
+      [ 'universal' ], [
+        [ 'COND-25', 'should reject a transfer which has already expired' ],
+        [ 'COND-26', 'should reject a transfer with a malformed `expiresAt`' ],
+        [ 'COND-27', 'should reject a transfer with an `expiresAt` which is not in UTC' ],
+        [ 'COND-28', 'should reject a transfer with a condition but no `expiresAt`' ],
+        [ 'COND-29', 'should reject a transfer with `expiresAt` but no condition' ]
+      ]),
+    group('Plugin transfers (universal) expiresAt', 'LedgerPlugin.fulfillCondition',
+      [ 'universal' ], [
+        [ 'COND-30', 'should not fulfill a transfer just after it expires' ]
+      ])
+  )),
+
+  onlyFor([ 1 ],
+    group('Plugin messaging sendMessage', 'LedgerPlugin.sendMessage',
+      [ 'messaging' ], [
+        [ 'MSG-01', 'should be a function' ],
+        [ 'MSG-02', 'should send a simple message' ],
+        [ 'MSG-03', 'should reject message missing `ledger`' ],
+        [ 'MSG-04', 'should reject message with an incorrect `ledger`' ],
+        [ 'MSG-05', 'should reject message missing `account`' ],
+        [ 'MSG-06', 'should reject message missing `data`' ]
+      ])
+  ),
+
+  onlyFor([ 2 ], [].concat(
+    group('Plugin requests sendRequest', 'LedgerPlugin.sendRequest',
+      [ 'requests' ], [
+        [ 'REQ-01', 'should be a function' ],
+        [ 'REQ-02', 'should resolve to the response of the receiver\'s handler' ],
+        [ 'REQ-03', 'should reject when the handler throws' ],
+        [ 'REQ-04', 'should reject when the handler rejects' ],
+        [ 'REQ-05', 'should reject when the receiver has no handler' ],
+        [ 'REQ-06', 'should reject when the handler does not respond in time', [ 'requestTimeout' ] ],
+        [ 'REQ-07', 'should reject a request missing `to`' ],
+        [ 'REQ-08', 'should reject a request with an incorrect `ledger`' ]
+      ]),
+    group('Plugin requests registerRequestHandler', 'LedgerPlugin.registerRequestHandler',
+      [ 'requests' ], [
+        [ 'REQ-09', 'should throw if a handler is already registered' ]
+      ]),
+    group('Plugin requests registerRequestHandler', 'LedgerPlugin.deregisterRequestHandler',
+      [ 'requests' ], [
+        [ 'REQ-10', 'should stop calling a handler once it is deregistered' ]
+      ]),
+
+    group('Plugin transfer handlers registerTransferHandler',
+      'LedgerPlugin.registerTransferHandler', [ 'transferHandlers' ], [
+        [ 'HANDLER-01', 'should be a function' ],
+        [ 'HANDLER-02', 'should call the handler with an incoming transfer' ],
+        [ 'HANDLER-03', 'should throw if a handler is already registered' ],
+        [ 'HANDLER-04', 'should resolve sendTransfer to the fulfillment from the handler' ],
+        [ 'HANDLER-05', 'should reject sendTransfer when the handler throws' ],
+        [ 'HANDLER-08', 'should reject sendTransfer when the handler gives the wrong fulfillment' ]
+      ]),
+    group('Plugin transfer handlers deregisterTransferHandler',
+      'LedgerPlugin.deregisterTransferHandler', [ 'transferHandlers' ], [
+        [ 'HANDLER-06', 'should stop calling the handler' ],
+        [ 'HANDLER-07', 'should let a new handler be registered' ]
+      ])
+  )),
+
+  group('Plugin concurrent transfers sendTransfer', 'LedgerPlugin.sendTransfer',
+    [ 'optimistic' ], [
+      [ 'STRESS-01', 'should send optimistic transfers concurrently' ]
+    ]),
+  group('Plugin concurrent transfers sendTransfer with conditions',
+    'LedgerPlugin.sendTransfer', [ 'universal' ], [
+      [ 'STRESS-02', 'should send transfers concurrently, fulfilling some and rejecting others' ],
+      [ 'STRESS-03', 'should send optimistic and conditional transfers concurrently', [ 'optimistic' ] ]
+    ]),
+
+  group('Plugin multi-party sendTransfer', 'LedgerPlugin.sendTransfer',
+    [ 'multiparty' ], [
+      [ 'MULTI-01', 'should send to several accounts at once', [ 'optimistic' ] ],
+      [ 'MULTI-02', 'should receive from several accounts at once', [ 'optimistic' ] ],
+      [ 'MULTI-03', 'should pass a conditional transfer around A, B and C and back', [ 'universal' ] ]
+    ]),
+  group('Plugin multi-party sendMessage', 'LedgerPlugin.sendMessage',
+    [ 'multiparty', 'messaging' ], [
+      [ 'MULTI-04', 'should only deliver a message to its receiver' ]
+    ]),
+
+  group('Plugin authorization conditional transfers', 'LedgerPlugin.fulfillCondition',
+    [ 'universal' ], [
+      [ 'AUTH-01', 'should not let the sender fulfill its own transfer' ],
+      [ 'AUTH-02', 'should not let a third account fulfill the transfer', [ 'multiparty' ] ]
+    ]),
+  group('Plugin authorization conditional transfers', 'LedgerPlugin.rejectIncomingTransfer',
+    [ 'universal', 'multiparty' ], [
+      [ 'AUTH-03', 'should not let a third account reject the transfer' ]
+    ]),
+  // version 2 transfers have no `from`
+  onlyFor([ 1 ],
+    group('Plugin authorization sendTransfer', 'LedgerPlugin.sendTransfer', [], [
+      [ 'AUTH-04', 'should reject a transfer from another account' ]
+    ])),
+  group('Plugin authorization sendMessage', 'LedgerPlugin.sendMessage',
+    [ 'messaging' ], [
+      [ 'AUTH-05', 'should not forge the sender of a message' ]
+    ]),
+
+  group('Plugin restarts conditional transfers', 'LedgerPlugin.fulfillCondition',
+    [ 'universal' ], [
+      [ 'RESTART-01', 'should fulfill a transfer that was prepared before a restart' ]
+    ]),
+  group('Plugin restarts conditional transfers', 'LedgerPlugin.rejectIncomingTransfer',
+    [ 'universal' ], [
+      [ 'RESTART-02', 'should reject a transfer that was prepared before a restart' ]
+    ]),
+  group('Plugin restarts conditional transfers', 'LedgerPlugin.getFulfillment',
+    [ 'universal' ], [
+      [ 'RESTART-03', 'should get the fulfillment of a transfer after a restart' ]
+    ]),
+  group('Plugin restarts conditional transfers', 'new LedgerPlugin(opts)',
+    [ 'universal', 'store' ], [
+      [ 'RESTART-04', 'should keep its state in the store' ]
+    ]),
+  group('Plugin restarts getBalance', 'LedgerPlugin.getBalance', [], [
+    [ 'RESTART-05', 'should return the same balance after a restart' ]
+  ]),
+  onlyFor([ 1 ],
+    group('Plugin restarts sendTransfer', 'LedgerPlugin.sendTransfer', [], [
+      [ 'RESTART-06', 'should reject a repeated id with different fields after a restart' ]
+    ])),
+
+  group('Plugin unsupported features optimistic transfers',
+    'LedgerPlugin.sendTransfer', [ '!optimistic' ], [
+      [ 'UNSUP-01', 'should reject an optimistic transfer with NotAcceptedError' ]
+    ]),
+  group('Plugin unsupported features conditional transfers',
+    'LedgerPlugin.sendTransfer', [ '!universal' ], [
+      [ 'UNSUP-02', 'should reject a transfer with a condition with NotAcceptedError' ]
+    ]),
+  group('Plugin unsupported features messaging',
+    'LedgerPlugin.sendMessage', [ '!messaging' ], [
+      [ 'UNSUP-03', 'should reject a message with NotAcceptedError' ]
+    ])
+)
+
+module.exports = { SPEC, REQUIREMENTS }
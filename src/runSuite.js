@@ -0,0 +1,130 @@
+'use strict'
+
+const path = require('path')
+const Mocha = require('mocha')
+const coMocha = require('co-mocha')
+const config = require('./config')
+const suites = require('./suites')
+const versions = require('./versions')
+const buildReport = require('./report')
+
+// the specs are written with generator functions
+coMocha(Mocha)
+
+// same as the --timeout in test/mocha.opts
+const DEFAULT_MOCHA_TIMEOUT = 60000
+
+const summarizeError = (err) => {
+  if (!err) return null
+  return {
+    name: err.name,
+    message: err.message,
+    stack: err.stack
+  }
+}
+
+// a test can be skipped because it or one of its suites needs a capability
+// that the plugin doesn't support
+const findSkipReason = (runnable) => {
+  for (let r = runnable; r; r = r.parent) {
+    if (r.skipReason) return r.skipReason
+  }
+  return null
+}
+
+const summarizeTest = (test, state, err) => {
+  const summary = {
+    title: test.title,
+    fullTitle: test.fullTitle(),
+    type: test.type,
+    state: state,
+    duration: test.duration || 0,
+    error: summarizeError(err)
+  }
+
+  if (state === 'pending') summary.reason = findSkipReason(test)
+  return summary
+}
+
+/**
+ * Run the conformance suite in-process against a plugin.
+ *
+ * `opts` has the same fields as a config file (`plugin`, `options`,
+ * `timeout` and optionally `capabilities`), plus these optional fields:
+ *
+ * - `reporter`: mocha reporter name or constructor, defaults to 'spec'
+ * - `mochaTimeout`: time in milliseconds that a single test may take
+ * - `only`: list of suite names to run (see `SUITES` in ./suites), defaults
+ *   to all of them
+ * - `grep`: only run tests whose full title matches this string or RegExp
+ *
+ * Only the suites for the versions of the interface that the plugin
+ * implements are run (see ./versions).
+ *
+ * Resolves to an object describing the run; `passed` is true only if no test
+ * or hook failed, `interfaceVersions` says which versions of the interface
+ * the plugin was tested for, and `report` is the conformance report (see
+ * ./report).
+ * Rejects if the suite could not be run at all.
+ */
+function runSuite (opts) {
+  return new Promise((resolve, reject) => {
+    opts = opts || {}
+    config.setConfig(opts)
+    const detected = versions.detectVersions(opts)
+    const files = suites.specFiles(opts.only, detected.versions)
+
+    const mocha = new Mocha({
+      reporter: opts.reporter || 'spec',
+      timeout: opts.mochaTimeout || DEFAULT_MOCHA_TIMEOUT
+    })
+
+    if (opts.grep) mocha.grep(opts.grep)
+
+    // the specs and their helpers read the config and register hooks when
+    // they are loaded, so they have to be loaded again on every run
+    Object.keys(require.cache)
+      .filter((file) => file.indexOf(suites.SPEC_DIR + path.sep) === 0)
+      .forEach((file) => { delete require.cache[file] })
+    files.forEach((file) => mocha.addFile(file))
+
+    const tests = []
+    // a test can fail after it passed, e.g. when an illegal event shows up
+    // late, and is then only listed as failed
+    const summaries = new Map()
+    const add = (test, state, err) => {
+      if (summaries.has(test)) tests.splice(tests.indexOf(summaries.get(test)), 1)
+      const summary = summarizeTest(test, state, err)
+      summaries.set(test, summary)
+      tests.push(summary)
+    }
+    const start = Date.now()
+    const runner = mocha.run(() => {
+      const count = (state) => tests.filter((t) => t.state === state).length
+      const stats = {
+        tests: tests.length,
+        passes: count('passed'),
+        failures: count('failed'),
+        pending: count('pending'),
+        duration: Date.now() - start
+      }
+
+      const result = {
+        passed: stats.failures === 0,
+        interfaceVersions: detected,
+        stats,
+        tests
+      }
+
+      result.report = buildReport(result, config.getConfig())
+      resolve(result)
+    })
+
+    runner.on('pass', (test) => add(test, 'passed'))
+    runner.on('pending', (test) => add(test, 'pending'))
+    // hooks are reported here too, so a failing beforeEach counts as a failure
+    runner.on('fail', (test, err) => add(test, 'failed', err))
+  })
+}
+
+module.exports = runSuite
@@ -0,0 +1,56 @@
+'use strict'
+
+const Ajv = require('ajv')
+
+const ajv = new Ajv({ allErrors: true })
+ajv.addSchema(require('./definitions.json'))
+ajv.addSchema(require('./IncomingTransfer.json'))
+ajv.addSchema(require('./OutgoingTransfer.json'))
+ajv.addSchema(require('./Message.json'))
+ajv.addSchema(require('./LedgerInfo.json'))
+ajv.addSchema(require('./RejectionMessage.json'))
+ajv.addSchema({ $id: 'Fulfillment.json', $ref: 'definitions.json#/definitions/Fulfillment' })
+
+const TRANSFER_EVENT = /^(incoming|outgoing)_(transfer|prepare|fulfill|reject|cancel)$/
+
+/**
+ * Validate a value against one of the schemas in this directory, by name
+ * (e.g. "IncomingTransfer"). Returns a list of problems, which is empty if
+ * the value is valid. `label` names the value in the problems.
+ */
+function validate (name, value, label) {
+  const validator = ajv.getSchema(name + '.json')
+  if (!validator) throw new Error('unknown schema: ' + name)
+  if (validator(value)) return []
+
+  return validator.errors.map((error) => {
+    return ajv.errorsText([ error ], { dataVar: label || name })
+  })
+}
+
+/**
+ * Validate the arguments of an event emitted by a plugin. Returns a list of
+ * problems; events without a schema have none.
+ */
+function validateEvent (event, args) {
+  const match = event.match(TRANSFER_EVENT)
+  if (match) {
+    const schema = (match[1] === 'incoming') ? 'IncomingTransfer' : 'OutgoingTransfer'
+    const problems = validate(schema, args[0], event + ' transfer')
+    if (match[2] === 'fulfill') {
+      return problems.concat(validate('Fulfillment', args[1], event + ' fulfillment'))
+    }
+    if (match[2] === 'reject' || match[2] === 'cancel') {
+      return problems.concat(validate('RejectionMessage', args[1], event + ' reason'))
+    }
+    return problems
+  }
+
+  if (event === 'incoming_message' || event === 'outgoing_message') {
+    return validate('Message', args[0], event + ' message')
+  }
+
+  return []
+}
+
+module.exports = { validate, validateEvent }
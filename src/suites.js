@@ -0,0 +1,76 @@
+'use strict'
+
+const path = require('path')
+
+const SPEC_DIR = path.resolve(__dirname, '../test')
+
+// names that a run can be narrowed down to, and the spec file for each, in
+// the order that they run in
+const SUITES = {
+  index: 'indexSpec.js',
+  shape: 'shapeSpec.js',
+  connect: 'connectSpec.js',
+  info: 'infoSpec.js',
+  balances: 'balanceSpec.js',
+  transfers: 'transferSpec.js',
+  amounts: 'amountSpec.js',
+  conditions: 'conditionSpec.js',
+  messages: 'messageSpec.js',
+  requests: 'requestSpec.js',
+  handlers: 'transferHandlerSpec.js',
+  stress: 'stressSpec.js',
+  multiparty: 'multiPartySpec.js',
+  authorization: 'authorizationSpec.js',
+  restart: 'restartSpec.js',
+  unsupported: 'unsupportedSpec.js'
+}
+
+// suites for only some versions of the LedgerPlugin interface (see
+// ./versions). The others apply to every version.
+const SUITE_VERSIONS = {
+  messages: [ 1 ],
+  conditions: [ 1 ],
+  requests: [ 2 ],
+  handlers: [ 2 ]
+}
+
+const forVersions = (name, versions) => {
+  return !SUITE_VERSIONS[name] || SUITE_VERSIONS[name].some((version) => {
+    return versions.indexOf(version) !== -1
+  })
+}
+
+/**
+ * Get the spec files for a list of suite names, or for every suite if no
+ * names are given. If the `versions` of the interface that the plugin
+ * implements are given, suites for other versions are left out. Throws if a
+ * name is unknown, or if a suite that was asked for by name is for another
+ * version.
+ */
+function specFiles (names, versions) {
+  const all = !(names && names.length)
+  names = all ? Object.keys(SUITES) : names
+
+  const unknown = names.filter((name) => !SUITES[name])
+  if (unknown.length) {
+    throw new Error('unknown suite(s): ' + unknown.join(', ') +
+      '. Valid suites are: ' + Object.keys(SUITES).join(', '))
+  }
+  // in the order of SUITES, whatever the order they were asked for in, so
+  // that the module and shape checks come first
+  names = Object.keys(SUITES).filter((name) => names.indexOf(name) !== -1)
+
+  if (versions) {
+    const other = names.filter((name) => !forVersions(name, versions))
+    if (other.length && !all) {
+      throw new Error('suite(s) for another version of the interface: ' +
+        other.map((name) => name + ' (version ' + SUITE_VERSIONS[name].join(', ') + ')')
+          .join(', ') + '. The plugin implements version ' + versions.join(', '))
+    }
+    names = names.filter((name) => forVersions(name, versions))
+  }
+
+  return names.map((name) => path.join(SPEC_DIR, SUITES[name]))
+}
+
+module.exports = { SPEC_DIR, SUITES, SUITE_VERSIONS, specFiles }
@@ -0,0 +1,262 @@
+'use strict'
+
+const capabilities = require('./capabilities')
+const versions = require('./versions')
+
+const isObject = (value) => {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+const isNonEmptyString = (value) => {
+  return typeof value === 'string' && value.length > 0
+}
+
+// only the first two options need `transfer`: the plugins made from them
+// send to each other. The others are only used in multi-party tests, which
+// send to the addresses that the plugins give themselves. A plugin's own
+// account isn't known before it is constructed, so whether a `transfer.account`
+// really is the other plugin's is checked by the info suite instead.
+const validateOption = (option, path, needsTransfer, problems) => {
+  if (!isObject(option)) {
+    problems.push({ path, message: 'must be an object' })
+    return
+  }
+
+  if (!isObject(option.pluginOptions)) {
+    problems.push({
+      path: path + '.pluginOptions',
+      message: 'must be an object of options for the plugin constructor'
+    })
+  }
+
+  const integerFields = [ 'minBalance', 'limit' ]
+  integerFields.forEach((field) => {
+    const value = option[field]
+    if (value !== undefined && (typeof value !== 'string' || !value.match(/^-?[0-9]+$/))) {
+      problems.push({
+        path: path + '.' + field,
+        message: 'must be an integer string, got ' + JSON.stringify(value)
+      })
+    }
+  })
+
+  if (option.transfer === undefined && !needsTransfer) return
+  if (!isObject(option.transfer)) {
+    problems.push({
+      path: path + '.transfer',
+      message: 'must be an object of fields to add to outgoing transfers'
+    })
+  } else if (!isNonEmptyString(option.transfer.account)) {
+    problems.push({
+      path: path + '.transfer.account',
+      message: 'must be a non-empty string, the account that the plugin sends to'
+    })
+  }
+}
+
+const validateCapabilities = (declared, problems) => {
+  if (declared === undefined) return
+  if (!isObject(declared)) {
+    problems.push({ path: 'capabilities', message: 'must be an object' })
+    return
+  }
+
+  Object.keys(declared).forEach((name) => {
+    if (!capabilities.CAPABILITIES[name]) {
+      problems.push({
+        path: 'capabilities.' + name,
+        message: 'is not a known capability. Known capabilities are: ' +
+          Object.keys(capabilities.CAPABILITIES).join(', ')
+      })
+    } else if (typeof declared[name] !== 'boolean') {
+      problems.push({
+        path: 'capabilities.' + name,
+        message: 'must be true or false'
+      })
+    }
+  })
+}
+
+const validateStress = (stress, problems) => {
+  if (stress === undefined) return
+  if (!isObject(stress)) {
+    problems.push({ path: 'stress', message: 'must be an object' })
+    return
+  }
+
+  const transfers = stress.transfers
+  if (transfers !== undefined &&
+      (typeof transfers !== 'number' || transfers % 1 !== 0 || transfers < 1)) {
+    problems.push({
+      path: 'stress.transfers',
+      message: 'must be a positive integer, got ' + JSON.stringify(transfers)
+    })
+  }
+}
+
+const validateClock = (clock, problems) => {
+  if (clock === undefined || clock === 'fake') return
+  if (!isObject(clock) || typeof clock.now !== 'function' ||
+      typeof clock.advance !== 'function') {
+    problems.push({
+      path: 'clock',
+      message: 'must be "fake" or an object with `now()` and `advance(ms)` ' +
+        'functions, got ' + JSON.stringify(clock)
+    })
+  }
+}
+
+const validateUnreachable = (unreachable, problems) => {
+  if (unreachable === undefined) return
+  if (!isObject(unreachable)) {
+    problems.push({
+      path: 'unreachable',
+      message: 'must be an object of plugin options by what makes them unreachable'
+    })
+    return
+  }
+
+  Object.keys(unreachable).forEach((name) => {
+    if (!isObject(unreachable[name])) {
+      problems.push({
+        path: 'unreachable[' + JSON.stringify(name) + ']',
+        message: 'must be an object of options for the plugin constructor'
+      })
+    }
+  })
+}
+
+const validateRequiredOptions = (required, problems) => {
+  if (required === undefined) return
+  if (!Array.isArray(required) || !required.every(isNonEmptyString)) {
+    problems.push({
+      path: 'requiredOptions',
+      message: 'must be an array of the names of options that the plugin ' +
+        'constructor requires, got ' + JSON.stringify(required)
+    })
+  }
+}
+
+// a version of the interface, or a list of them, declared by the config or
+// the plugin
+const validateVersion = (declared, path, problems) => {
+  if (declared === undefined) return
+  const list = [].concat(declared)
+  if (!list.length || !list.every((version) => versions.VERSIONS[version] &&
+      typeof version === 'number')) {
+    problems.push({
+      path: path,
+      message: 'must be a version of the interface, or a list of them, out of: ' +
+        Object.keys(versions.VERSIONS).join(', ') + ', got ' + JSON.stringify(declared)
+    })
+  }
+}
+
+/**
+ * Check a test config, returning a list of every problem found. Each problem
+ * has the `path` of the offending field and a `message` saying what is wrong
+ * with it. An empty list means the config is valid.
+ */
+function validateConfig (config) {
+  const problems = []
+
+  if (!isObject(config)) {
+    problems.push({ path: 'config', message: 'must be an object' })
+    return problems
+  }
+
+  if (typeof config.plugin !== 'function') {
+    problems.push({ path: 'plugin', message: 'must be the plugin constructor' })
+  }
+
+  if (typeof config.timeout !== 'number' || !(config.timeout > 0) ||
+      !isFinite(config.timeout)) {
+    problems.push({
+      path: 'timeout',
+      message: 'must be a positive number of milliseconds, got ' +
+        JSON.stringify(config.timeout)
+    })
+  }
+
+  validateCapabilities(config.capabilities, problems)
+  validateStress(config.stress, problems)
+  validateClock(config.clock, problems)
+
+  if (config.requestTimeout !== undefined &&
+      (typeof config.requestTimeout !== 'number' || !(config.requestTimeout > 0) ||
+      !isFinite(config.requestTimeout))) {
+    problems.push({
+      path: 'requestTimeout',
+      message: 'must be a positive number of milliseconds, got ' +
+        JSON.stringify(config.requestTimeout)
+    })
+  }
+
+  if (config.store !== undefined && typeof config.store !== 'function') {
+    problems.push({
+      path: 'store',
+      message: 'must be a function that makes a new store for opts._store'
+    })
+  }
+
+  validateVersion(config.pluginVersion, 'pluginVersion', problems)
+  if (typeof config.plugin === 'function') {
+    validateVersion(config.plugin.pluginVersion, 'plugin.pluginVersion', problems)
+  }
+  validateUnreachable(config.unreachable, problems)
+  validateRequiredOptions(config.requiredOptions, problems)
+
+  if (!Array.isArray(config.options)) {
+    problems.push({ path: 'options', message: 'must be an array' })
+    return problems
+  }
+
+  if (config.options.length < 2) {
+    problems.push({
+      path: 'options',
+      message: 'must have at least two entries, one for each plugin that ' +
+        'sends to the other, got ' + config.options.length
+    })
+  }
+
+  config.options.forEach((option, i) => {
+    validateOption(option, 'options[' + i + ']', i < 2, problems)
+  })
+
+  const accountA = config.options[0] && config.options[0].transfer &&
+    config.options[0].transfer.account
+  const accountB = config.options[1] && config.options[1].transfer &&
+    config.options[1].transfer.account
+  if (isNonEmptyString(accountA) && accountA === accountB) {
+    problems.push({
+      path: 'options[1].transfer.account',
+      message: 'must differ from options[0].transfer.account, but both ' +
+        'are "' + accountA + '"'
+    })
+  }
+
+  const first = config.options[0] && config.options[0].pluginOptions
+  if (Array.isArray(config.requiredOptions) && isObject(first)) {
+    config.requiredOptions.forEach((name, i) => {
+      if (isNonEmptyString(name) && !(name in first)) {
+        problems.push({
+          path: 'requiredOptions[' + i + ']',
+          message: 'is "' + name + '", which is not in options[0].pluginOptions'
+        })
+      }
+    })
+  }
+
+  const multiparty = capabilities.REQUIRES.multiparty
+  if (isObject(config.capabilities) && config.capabilities.multiparty === true &&
+      !multiparty.check(config)) {
+    problems.push({
+      path: 'capabilities.multiparty',
+      message: 'is true, but ' + multiparty.reason
+    })
+  }
+
+  return problems
+}
+
+module.exports = validateConfig
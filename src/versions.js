@@ -0,0 +1,58 @@
+'use strict'
+
+// versions of the LedgerPlugin interface that the suite knows, and methods
+// that only a plugin for that version has
+const VERSIONS = {
+  1: [ 'sendMessage', 'fulfillCondition' ],
+  2: [ 'sendRequest', 'registerRequestHandler', 'registerTransferHandler' ]
+}
+
+// what the suite was first written for, and so what a plugin that shows no
+// sign of either version is assumed to implement
+const DEFAULT_VERSION = 1
+
+const hasMethod = (Plugin, name) => {
+  return typeof Plugin === 'function' && !!Plugin.prototype &&
+    typeof Plugin.prototype[name] === 'function'
+}
+
+const asList = (versions) => [].concat(versions).sort((a, b) => a - b)
+
+/**
+ * Find out which versions of the interface a plugin implements. A config can
+ * declare them as `pluginVersion`, and so can the plugin constructor, as a
+ * static property of the same name. Otherwise the plugin's prototype is
+ * probed for methods that only one of the versions has.
+ *
+ * Returns the `versions`, as a sorted list of numbers, and the `source` that
+ * they came from: "config", "plugin" or "methods".
+ */
+function detectVersions (config) {
+  if (config.pluginVersion !== undefined) {
+    return { versions: asList(config.pluginVersion), source: 'config' }
+  }
+  if (config.plugin && config.plugin.pluginVersion !== undefined) {
+    return { versions: asList(config.plugin.pluginVersion), source: 'plugin' }
+  }
+
+  const versions = Object.keys(VERSIONS)
+    .filter((version) => VERSIONS[version].some((method) => {
+      return hasMethod(config.plugin, method)
+    }))
+    .map(Number)
+
+  return {
+    versions: versions.length ? versions : [ DEFAULT_VERSION ],
+    source: 'methods'
+  }
+}
+
+/**
+ * Check whether a plugin implements any of a list of interface versions.
+ */
+function implementsAny (config, versions) {
+  const implemented = detectVersions(config).versions
+  return versions.some((version) => implemented.indexOf(version) !== -1)
+}
+
+module.exports = { VERSIONS, detectVersions, implementsAny, hasMethod }
@@ -0,0 +1,184 @@
+'use strict'
+
+const assert = require('chai').assert
+const testPlugin = require('../src/config').getConfig()
+const events = require('./helpers/events')
+const capabilities = require('./helpers/capabilities')
+const itIf = capabilities.itIf
+const itFor = capabilities.itFor
+const makeCondition = require('./helpers/conditions').makeCondition
+const assertError = require('./helpers/errors').assertError
+const transfers = require('./helpers/transfers')
+const rejectionMessage = transfers.rejectionMessage
+const makeExpiry = transfers.makeExpiry
+const BigNumber = require('bignumber.js')
+const sinon = require('sinon')
+const uuid = require('uuid4')
+
+const Plugin = events.watch(testPlugin.plugin)
+
+const optsA = testPlugin.options[0].pluginOptions
+const optsB = testPlugin.options[1].pluginOptions
+const transferA = testPlugin.options[0].transfer
+const timeout = testPlugin.timeout
+const toB = transfers.transferBuilder(0)
+// amounts are integer strings in the ledger's base units. A unit is
+// 10^-currencyScale of the currency, so for a scale of 2, "1" is a cent.
+describe('Plugin amounts', function () {
+  beforeEach(function * () {
+    // give plenty of time more than the expiry
+    this.currentTest.timeout(this.currentTest.timeout() + timeout * 2)
+
+    this.pluginA = new Plugin(optsA)
+    this.pluginB = new Plugin(optsB)
+
+    const pA = new Promise(resolve => this.pluginA.once('connect', resolve))
+    yield this.pluginA.connect({ timeout })
+    yield pA
+
+    const pB = new Promise(resolve => this.pluginB.once('connect', resolve))
+    yield this.pluginB.connect({ timeout })
+    yield pB
+
+    assert.isTrue(this.pluginA.isConnected())
+    assert.isTrue(this.pluginB.isConnected())
+
+    this.info = this.pluginA.getInfo()
+    assert.isNumber(this.info.currencyScale)
+    assert.isTrue(this.info.currencyScale % 1 === 0 && this.info.currencyScale >= 0,
+      'currencyScale should be a non-negative integer')
+
+    // a transfer of `amount` from A to B
+    this.makeTransfer = (amount) => toB({ amount })
+
+    // shows base units as an amount of currency, for failure messages
+    this.format = (units) => {
+      return new BigNumber(units).shift(-this.info.currencyScale).toFixed() +
+        (this.info.currencyCode ? ' ' + this.info.currencyCode : '')
+    }
+
+    // check that each of `amounts` is refused with InvalidFieldsError,
+    // without any events
+    this.assertRejected = function * (amounts) {
+      const eventStub = sinon.stub()
+      this.pluginA.on('outgoing_transfer', eventStub)
+      this.pluginA.on('outgoing_prepare', eventStub)
+      this.pluginB.on('incoming_transfer', eventStub)
+      this.pluginB.on('incoming_prepare', eventStub)
+
+      for (const amount of amounts) {
+        yield this.pluginA.sendTransfer(this.makeTransfer(amount))
+          .then(() => {
+            assert(false, 'amount ' + JSON.stringify(amount) + ' should have been rejected')
+          })
+          .catch((e) => {
+            assertError(e, 'InvalidFieldsError', 'amount ' + JSON.stringify(amount))
+          })
+      }
+
+      sinon.assert.notCalled(eventStub)
+    }
+  })
+
+  afterEach(function * () {
+    // a transfer that was conditional, because optimistic ones aren't
+    // supported, would otherwise expire during a later test
+    yield toB.settle(this.pluginB)
+    if (this.pluginA.isConnected()) yield this.pluginA.disconnect()
+    if (this.pluginB.isConnected()) yield this.pluginB.disconnect()
+  })
+
+  describe('sendTransfer', function () {
+    itFor([ 1 ], 'should send the smallest unit of the currency', function * () {
+      const transfer = this.makeTransfer('1')
+      const received = new Promise(resolve => {
+        this.pluginB.once('incoming_transfer', resolve)
+        this.pluginB.once('incoming_prepare', resolve)
+      })
+
+      yield this.pluginA.sendTransfer(transfer)
+      const incoming = yield received
+
+      assert.equal(incoming.id, transfer.id)
+      assert.strictEqual(incoming.amount, '1', 'the receiver should get ' + this.format('1'))
+    })
+
+    it('should reject amounts with decimal places', function * () {
+      // a tenth of the smallest unit, and an amount of currency that somebody
+      // might have meant, with one decimal place more than the currency has
+      yield * this.assertRejected([
+        '0.1',
+        '1.5',
+        new BigNumber(1).shift(-this.info.currencyScale - 1).toFixed()
+      ])
+    })
+
+    itIf('universal', 'should not round amounts beyond Number.MAX_SAFE_INTEGER', function * () {
+      // as a number, the first would be rounded to 9007199254740992. A ledger
+      // that keeps fewer digits than that is tested with the largest amount it
+      // can hold instead.
+      const precision = this.info.precision
+      let amounts = [
+        new BigNumber(Number.MAX_SAFE_INTEGER).plus(2).toFixed(),
+        '1' + '0'.repeat(30)
+      ]
+      if (precision) {
+        amounts = amounts.filter((amount) => amount.length <= precision)
+        if (!amounts.length) amounts = [ '9'.repeat(precision) ]
+      }
+
+      for (const amount of amounts) {
+        const before = yield this.pluginA.getBalance()
+        assert.isTrue(new BigNumber(before).gte(amount), 'the sender needs a ' +
+          'balance of at least ' + this.format(amount) + ' to send it, but has ' +
+          this.format(before))
+
+        const id = uuid()
+        const received = new Promise(resolve => {
+          this.pluginB.once('incoming_prepare', resolve)
+        })
+
+        yield this.pluginA.sendTransfer(Object.assign({
+          id: id,
+          amount: amount,
+          executionCondition: makeCondition().condition,
+          expiresAt: makeExpiry(timeout)
+        }, transferA))
+
+        const incoming = yield received
+        assert.equal(incoming.id, id)
+        assert.strictEqual(incoming.amount, amount)
+
+        // the funds may be held, but only exactly the amount
+        const during = yield this.pluginA.getBalance()
+        const held = new BigNumber(before).minus(during)
+        assert.isTrue(held.equals(0) || held.equals(amount), 'the sender\'s ' +
+          'balance should be unchanged or have ' + amount + ' held, but ' +
+          held.toFixed() + ' is held')
+
+        const rejected = new Promise(resolve =>
+          this.pluginA.once('outgoing_reject', resolve))
+        yield this.pluginB.rejectIncomingTransfer(id, rejectionMessage)
+        assert.strictEqual((yield rejected).amount, amount)
+        assert.strictEqual(yield this.pluginA.getBalance(), before,
+          'the sender should get exactly ' + amount + ' back')
+      }
+    })
+
+    it('should reject amounts in exponent notation', function * () {
+      yield * this.assertRejected([ '1e2', '1E2', '1e-2' ])
+    })
+
+    it('should reject amounts with a leading `+`', function * () {
+      yield * this.assertRejected([ '+1' ])
+    })
+
+    it('should reject amounts with whitespace', function * () {
+      yield * this.assertRejected([ ' 1', '1 ', '1\n', '1 000' ])
+    })
+
+    it('should reject amounts in hex', function * () {
+      yield * this.assertRejected([ '0x1', '0x10', '0xff' ])
+    })
+  })
+})
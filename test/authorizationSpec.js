@@ -0,0 +1,175 @@
+'use strict'
+
+const assert = require('chai').assert
+const testPlugin = require('../src/config').getConfig()
+const events = require('./helpers/events')
+const capabilities = require('./helpers/capabilities')
+const describeIf = capabilities.describeIf
+const itIf = capabilities.itIf
+const itFor = capabilities.itFor
+const makeCondition = require('./helpers/conditions').makeCondition
+const assertError = require('./helpers/errors').assertError
+const transfers = require('./helpers/transfers')
+const rejectionMessage = transfers.rejectionMessage
+const makeExpiry = transfers.makeExpiry
+const sinon = require('sinon')
+const uuid = require('uuid4')
+
+const Plugin = events.watch(testPlugin.plugin)
+
+const optsA = testPlugin.options[0].pluginOptions
+const optsB = testPlugin.options[1].pluginOptions
+const transferA = testPlugin.options[0].transfer
+const timeout = testPlugin.timeout
+const toB = transfers.transferBuilder(0)
+const TRANSFER_EVENTS = [
+  'transfer', 'prepare', 'fulfill', 'reject', 'cancel'
+]
+
+// a stub that is called for every transfer event of the given plugins
+const stubTransferEvents = (plugins) => {
+  const stub = sinon.stub()
+  plugins.forEach((plugin) => {
+    TRANSFER_EVENTS.forEach((event) => {
+      plugin.on('incoming_' + event, stub)
+      plugin.on('outgoing_' + event, stub)
+    })
+  })
+  return stub
+}
+
+// check that `promise` is rejected with one of the error names in `names`
+function * assertRefused (promise, names, action) {
+  yield promise
+    .then(() => {
+      assert(false, action + ' should have been refused')
+    })
+    .catch((e) => {
+      assertError(e, names, action)
+    })
+}
+
+describe('Plugin authorization', function () {
+  beforeEach(function * () {
+    // give plenty of time more than the expiry
+    this.currentTest.timeout(this.currentTest.timeout() + timeout * 2)
+
+    this.pluginA = new Plugin(optsA)
+    this.pluginB = new Plugin(optsB)
+
+    const pA = new Promise(resolve => this.pluginA.once('connect', resolve))
+    yield this.pluginA.connect({ timeout })
+    yield pA
+
+    const pB = new Promise(resolve => this.pluginB.once('connect', resolve))
+    yield this.pluginB.connect({ timeout })
+    yield pB
+
+    assert.isTrue(this.pluginA.isConnected())
+    assert.isTrue(this.pluginB.isConnected())
+
+    // a third account, which neither sends nor receives anything
+    if (capabilities.supports('multiparty')) {
+      this.pluginC = new Plugin(testPlugin.options[2].pluginOptions)
+      const pC = new Promise(resolve => this.pluginC.once('connect', resolve))
+      yield this.pluginC.connect({ timeout })
+      yield pC
+    }
+
+    this.prefix = this.pluginA.getInfo().prefix
+  })
+
+  afterEach(function * () {
+    // the transfers here should be refused, but if the plugin prepared one,
+    // it would expire during a later test and change the balances there
+    yield toB.settle(this.pluginB)
+    if (this.pluginA.isConnected()) yield this.pluginA.disconnect()
+    if (this.pluginB.isConnected()) yield this.pluginB.disconnect()
+    if (this.pluginC && this.pluginC.isConnected()) yield this.pluginC.disconnect()
+    this.pluginC = null
+  })
+
+  describeIf('universal', 'conditional transfers', function () {
+    beforeEach(function * () {
+      this.id = uuid()
+      this.condition = makeCondition()
+
+      const prepared = new Promise(resolve =>
+        this.pluginB.once('incoming_prepare', resolve))
+
+      yield this.pluginA.sendTransfer(Object.assign({
+        id: this.id,
+        amount: '1',
+        executionCondition: this.condition.condition,
+        expiresAt: makeExpiry(timeout)
+      }, transferA))
+      yield prepared
+
+      this.eventStub = stubTransferEvents([ this.pluginA, this.pluginB ])
+    })
+
+    afterEach(function * () {
+      // the transfer must still be up to its receiver
+      const rejected = new Promise(resolve =>
+        this.pluginA.once('outgoing_reject', resolve))
+      yield this.pluginB.rejectIncomingTransfer(this.id, rejectionMessage)
+      yield rejected
+    })
+
+    it('should not let the sender fulfill its own transfer', function * () {
+      yield * assertRefused(
+        this.pluginA.fulfillCondition(this.id, this.condition.fulfillment),
+        [ 'NotAcceptedError' ], 'fulfilling as the sender')
+
+      sinon.assert.notCalled(this.eventStub)
+    })
+
+    // a third account may either not see the transfer at all or not be
+    // allowed to act on it
+    itIf('multiparty', 'should not let a third account fulfill the transfer', function * () {
+      yield * assertRefused(
+        this.pluginC.fulfillCondition(this.id, this.condition.fulfillment),
+        [ 'TransferNotFoundError', 'NotAcceptedError' ], 'fulfilling as a third account')
+
+      sinon.assert.notCalled(this.eventStub)
+    })
+
+    itIf('multiparty', 'should not let a third account reject the transfer', function * () {
+      yield * assertRefused(
+        this.pluginC.rejectIncomingTransfer(this.id, rejectionMessage),
+        [ 'TransferNotFoundError', 'NotAcceptedError' ], 'rejecting as a third account')
+
+      sinon.assert.notCalled(this.eventStub)
+    })
+  })
+
+  describe('sendTransfer', function () {
+    itFor([ 1 ], 'should reject a transfer from another account', function * () {
+      const eventStub = stubTransferEvents([ this.pluginA, this.pluginB ])
+
+      // B's account, sending to itself
+      yield * assertRefused(this.pluginA.sendTransfer(toB({
+        from: this.pluginB.getAccount()
+      })), [ 'NotAcceptedError' ], 'sending from another account')
+
+      sinon.assert.notCalled(eventStub)
+    })
+  })
+
+  describeIf('messaging', 'sendMessage', function () {
+    it('should not forge the sender of a message', function * () {
+      const messageStub = sinon.stub()
+      this.pluginB.on('incoming_message', messageStub)
+
+      // B can't tell this from a message that B sent to itself
+      yield * assertRefused(this.pluginA.sendMessage({
+        ledger: this.prefix,
+        account: transferA.account,
+        from: this.pluginB.getAccount(),
+        data: { foo: 'bar' }
+      }), [ 'NotAcceptedError' ], 'sending a message from another account')
+
+      sinon.assert.notCalled(messageStub)
+    })
+  })
+})
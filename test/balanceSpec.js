@@ -0,0 +1,248 @@
+'use strict'
+
+const assert = require('chai').assert
+const testPlugin = require('../src/config').getConfig()
+const events = require('./helpers/events')
+const capabilities = require('./helpers/capabilities')
+const describeIf = capabilities.describeIf
+const itIf = capabilities.itIf
+const useClock = require('./helpers/clock').useClock
+const makeCondition = require('./helpers/conditions').makeCondition
+const assertError = require('./helpers/errors').assertError
+const transfers = require('./helpers/transfers')
+const rejectionMessage = transfers.rejectionMessage
+const makeExpiry = transfers.makeExpiry
+const BigNumber = require('bignumber.js')
+const sinon = require('sinon')
+const uuid = require('uuid4')
+
+const Plugin = events.watch(testPlugin.plugin)
+
+const optsA = testPlugin.options[0].pluginOptions
+const optsB = testPlugin.options[1].pluginOptions
+const transferA = testPlugin.options[0].transfer
+const minBalanceA = testPlugin.options[0].minBalance
+const limitA = testPlugin.options[0].limit
+const timeout = testPlugin.timeout
+const toB = transfers.transferBuilder(0)
+const amount = '1'
+
+const INTEGER = /^-?[0-9]+$/
+
+describe('Plugin balances', function () {
+  beforeEach(function * () {
+    // give plenty of time more than the expiry
+    this.currentTest.timeout(this.currentTest.timeout() + timeout * 2)
+
+    this.pluginA = new Plugin(optsA)
+    this.pluginB = new Plugin(optsB)
+
+    const pA = new Promise(resolve => this.pluginA.once('connect', resolve))
+    yield this.pluginA.connect({ timeout })
+    yield pA
+
+    const pB = new Promise(resolve => this.pluginB.once('connect', resolve))
+    yield this.pluginB.connect({ timeout })
+    yield pB
+
+    assert.isTrue(this.pluginA.isConnected())
+    assert.isTrue(this.pluginB.isConnected())
+
+    const info = this.pluginA.getInfo()
+    this.prefix = info.prefix
+
+    // amounts and balances are integers in the ledger's base units. The
+    // currency scale is used to show them as currency in failure messages.
+    this.format = (units) => {
+      return new BigNumber(units).shift(-info.currencyScale).toString() +
+        (info.currencyCode ? ' ' + info.currencyCode : '')
+    }
+
+    this.getBalances = () => {
+      return Promise.all([ this.pluginA.getBalance(), this.pluginB.getBalance() ])
+    }
+
+    // check how much the balances of A and B have changed since `before`
+    this.assertChange = (before, after, changeA, changeB) => {
+      const actualA = new BigNumber(after[0]).minus(before[0])
+      const actualB = new BigNumber(after[1]).minus(before[1])
+
+      assert.isTrue(actualA.equals(changeA), 'sender balance should change by ' +
+        this.format(changeA) + ', changed by ' + this.format(actualA))
+      assert.isTrue(actualB.equals(changeB), 'receiver balance should change by ' +
+        this.format(changeB) + ', changed by ' + this.format(actualB))
+    }
+  })
+
+  afterEach(function * () {
+    // the transfers here should be refused, but if the plugin prepared one,
+    // it would expire during a later test and change the balances there
+    yield toB.settle(this.pluginB)
+    if (this.pluginA.isConnected()) yield this.pluginA.disconnect()
+    if (this.pluginB.isConnected()) yield this.pluginB.disconnect()
+  })
+
+  describeIf('optimistic', 'optimistic transfers', function () {
+    it('should move the amount from sender to receiver', function * () {
+      const id = uuid()
+      const before = yield this.getBalances()
+
+      const received = new Promise(resolve =>
+        this.pluginB.once('incoming_transfer', resolve))
+
+      yield this.pluginA.sendTransfer(Object.assign({
+        id: id,
+        amount: amount
+      }, transferA))
+      yield received
+
+      const after = yield this.getBalances()
+      this.assertChange(before, after, '-' + amount, amount)
+    })
+  })
+
+  describeIf('universal', 'conditional transfers', function () {
+    beforeEach(function * () {
+      this.id = uuid()
+      this.condition = makeCondition()
+      this.clock = useClock()
+      this.before = yield this.getBalances()
+
+      const prepared = new Promise(resolve =>
+        this.pluginB.once('incoming_prepare', resolve))
+
+      yield this.pluginA.sendTransfer(Object.assign({
+        id: this.id,
+        amount: amount,
+        executionCondition: this.condition.condition,
+        expiresAt: this.clock.makeExpiry(timeout)
+      }, transferA))
+      yield prepared
+    })
+
+    it('should not credit the receiver while the transfer is prepared', function * () {
+      const during = yield this.getBalances()
+      const changeA = new BigNumber(during[0]).minus(this.before[0])
+
+      // the sender's funds may be held, but nothing else may move
+      assert.isTrue(changeA.equals(0) || changeA.equals('-' + amount),
+        'sender balance should be unchanged or have the amount held, ' +
+        'changed by ' + this.format(changeA))
+      this.assertChange(this.before, during, changeA, '0')
+
+      // so that it doesn't expire during a later test
+      const rejected = new Promise(resolve =>
+        this.pluginA.once('outgoing_reject', resolve))
+      yield this.pluginB.rejectIncomingTransfer(this.id, rejectionMessage)
+      yield rejected
+    })
+
+    it('should move the amount from sender to receiver when fulfilled', function * () {
+      const fulfilled = new Promise(resolve =>
+        this.pluginA.once('outgoing_fulfill', resolve))
+
+      yield this.pluginB.fulfillCondition(this.id, this.condition.fulfillment)
+      yield fulfilled
+
+      const after = yield this.getBalances()
+      this.assertChange(this.before, after, '-' + amount, amount)
+    })
+
+    it('should leave balances unchanged when rejected', function * () {
+      const rejected = new Promise(resolve =>
+        this.pluginA.once('outgoing_reject', resolve))
+
+      yield this.pluginB.rejectIncomingTransfer(this.id, rejectionMessage)
+      yield rejected
+
+      const after = yield this.getBalances()
+      this.assertChange(this.before, after, '0', '0')
+    })
+
+    it('should leave balances unchanged when expired', function * () {
+      const cancelled = new Promise(resolve =>
+        this.pluginA.once('outgoing_cancel', resolve))
+
+      yield this.clock.advance(timeout)
+      yield cancelled
+
+      const after = yield this.getBalances()
+      this.assertChange(this.before, after, '0', '0')
+    })
+  })
+
+  describe('insufficient balance', function () {
+    it('should reject a transfer of more than the available balance', function * () {
+      const eventStub = sinon.stub()
+      this.pluginA.on('outgoing_transfer', eventStub)
+      this.pluginA.on('outgoing_prepare', eventStub)
+      this.pluginB.on('incoming_transfer', eventStub)
+      this.pluginB.on('incoming_prepare', eventStub)
+
+      const before = yield this.getBalances()
+      // with a declared minimum balance this is exactly one unit too much,
+      // otherwise more than the account could ever have
+      const available = capabilities.supports('declaredMinBalance')
+        ? new BigNumber(before[0]).minus(minBalanceA) : null
+      const tooMuch = available ? available.plus(1)
+        : new BigNumber(before[0]).abs().plus('1e18')
+
+      yield this.pluginA.sendTransfer(toB({ amount: tooMuch.toFixed() }))
+        .then(() => {
+          assert(false, 'transfer of ' + this.format(tooMuch) + ' should have been rejected')
+        })
+        .catch((e) => {
+          assertError(e, 'InsufficientBalanceError')
+        })
+
+      sinon.assert.notCalled(eventStub)
+      const after = yield this.getBalances()
+      this.assertChange(before, after, '0', '0')
+    })
+
+    // the transfer is prepared and then rejected, so that the funds come back
+    itIf([ 'declaredMinBalance', 'universal' ], 'should send the whole available balance', function * () {
+      const balance = yield this.pluginA.getBalance()
+      const available = new BigNumber(balance).minus(minBalanceA)
+      assert.isTrue(available.gt(0), 'the sender needs a balance above its ' +
+        'minBalance of ' + this.format(minBalanceA) + ', but has ' + this.format(balance))
+
+      const id = uuid()
+      const prepared = new Promise(resolve =>
+        this.pluginB.once('incoming_prepare', resolve))
+      yield this.pluginA.sendTransfer(Object.assign({
+        id: id,
+        amount: available.toFixed(),
+        executionCondition: makeCondition().condition,
+        expiresAt: makeExpiry(timeout)
+      }, transferA))
+      yield prepared
+
+      const rejected = new Promise(resolve =>
+        this.pluginA.once('outgoing_reject', resolve))
+      yield this.pluginB.rejectIncomingTransfer(id, rejectionMessage)
+      yield rejected
+    })
+  })
+
+  describeIf('limit', 'getLimit', function () {
+    it('should return a promise to an integer string', function * () {
+      const limit = yield this.pluginA.getLimit()
+      assert.isString(limit)
+      assert.match(limit, INTEGER)
+    })
+
+    itIf('declaredLimit', 'should return the declared limit', function * () {
+      const limit = yield this.pluginA.getLimit()
+      assert.strictEqual(limit, limitA, 'the limit should be ' + this.format(limitA))
+    })
+  })
+
+  describeIf('peerBalance', 'getPeerBalance', function () {
+    it('should return a promise to an integer string', function * () {
+      const balance = yield this.pluginA.getPeerBalance()
+      assert.isString(balance)
+      assert.match(balance, INTEGER)
+    })
+  })
+})
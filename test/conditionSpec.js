@@ -1,31 +1,32 @@
 'use strict'
 
 const assert = require('chai').assert
-const testPlugin = require('..')
+const testPlugin = require('../src/config').getConfig()
+const events = require('./helpers/events')
+const capabilities = require('./helpers/capabilities')
+const describeIf = capabilities.describeIf
+const itIf = capabilities.itIf
+const useClock = require('./helpers/clock').useClock
+const conditions = require('./helpers/conditions')
+const makeCondition = conditions.makeCondition
+const assertError = require('./helpers/errors').assertError
+const transfers = require('./helpers/transfers')
+const rejectionMessage = transfers.rejectionMessage
+const makeExpiry = transfers.makeExpiry
+const schemas = require('../src/schemas')
+const crypto = require('crypto')
 const sinon = require('sinon')
 const uuid = require('uuid4')
 
-const Plugin = testPlugin.plugin
+const Plugin = events.watch(testPlugin.plugin)
 
 const optsA = testPlugin.options[0].pluginOptions
 const optsB = testPlugin.options[1].pluginOptions
 const transferA = testPlugin.options[0].transfer
 const transferB = testPlugin.options[1].transfer
 const timeout = testPlugin.timeout
-const rejectionMessage = {
-  code: 'S01',
-  name: 'Sender Error',
-  message: 'There was an error',
-  triggered_by: 'example.alice',
-  triggered_at: '2017-05-03T15:14:52.813Z',
-  additional_info: {}
-}
-
-const makeExpiry = (t) => {
-  return (new Date((new Date()).getTime() + t)).toISOString()
-}
  
-describe('Plugin transfers (universal)', function () {
+describeIf('universal', 'Plugin transfers (universal)', function () {
   beforeEach(function * () {
     // give plenty of time more than the expiry
     this.timeout += timeout * 2
@@ -53,8 +54,15 @@ describe('Plugin transfers (universal)', function () {
   })
 
   describe('fulfillCondition', function () {
-    const condition = 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U'
-    const fulfillment = 'HS8e5Ew02XKAglyus2dh2Ohabuqmy3HDM8EXMLz22ok'
+    let condition
+    let fulfillment
+
+    // a new condition for every test, so that nothing can depend on its value
+    beforeEach(function () {
+      const pair = makeCondition()
+      condition = pair.condition
+      fulfillment = pair.fulfillment
+    })
 
     it('should be a function', function () {
       assert.isFunction(this.pluginA.fulfillCondition)
@@ -112,24 +120,76 @@ describe('Plugin transfers (universal)', function () {
       }, transferA))
     })
 
-    it('should time out a transfer', function (done) {
+    it('should time out a transfer', function * () {
       const id = uuid()
+      const clock = useClock()
 
-      this.pluginA.once('outgoing_cancel', (transfer) => {
-        assert.equal(transfer.id, id)
-        assert.equal(transfer.ledger, this.prefix)
-        done()
-      })
+      const cancelled = new Promise(resolve =>
+        this.pluginA.once('outgoing_cancel', resolve))
 
-      this.pluginA.sendTransfer(Object.assign({
+      yield this.pluginA.sendTransfer(Object.assign({
         id: id,
         amount: '1',
         executionCondition: condition,
-        expiresAt: makeExpiry(timeout)
+        expiresAt: clock.makeExpiry(timeout)
       }, transferA))
+      yield clock.advance(timeout)
+
+      const transfer = yield cancelled
+      assert.equal(transfer.id, id)
+      assert.equal(transfer.ledger, this.prefix)
     })
 
-    it('should not fulfill an optimistic transfer', function (done) {
+    it('should notify the receiver when a transfer times out', function * () {
+      const id = uuid()
+      const clock = useClock()
+
+      const cancelled = new Promise(resolve =>
+        this.pluginB.once('incoming_cancel', resolve))
+
+      yield this.pluginA.sendTransfer(Object.assign({
+        id: id,
+        amount: '1',
+        executionCondition: condition,
+        expiresAt: clock.makeExpiry(timeout)
+      }, transferA))
+      yield clock.advance(timeout)
+
+      const transfer = yield cancelled
+      assert.equal(transfer.id, id)
+      assert.equal(transfer.ledger, this.prefix)
+    })
+
+    it('should give the reason when a transfer times out', function * () {
+      const id = uuid()
+      const clock = useClock()
+
+      const cancelled = [
+        new Promise(resolve => this.pluginA.once('outgoing_cancel',
+          (transfer, reason) => resolve([ 'outgoing_cancel', transfer, reason ]))),
+        new Promise(resolve => this.pluginB.once('incoming_cancel',
+          (transfer, reason) => resolve([ 'incoming_cancel', transfer, reason ])))
+      ]
+
+      yield this.pluginA.sendTransfer(Object.assign({
+        id: id,
+        amount: '1',
+        executionCondition: condition,
+        expiresAt: clock.makeExpiry(timeout)
+      }, transferA))
+      yield clock.advance(timeout)
+
+      for (const event of yield Promise.all(cancelled)) {
+        const reason = event[2]
+        assert.equal(event[1].id, id)
+        assert.deepEqual(schemas.validate('RejectionMessage', reason, event[0] + ' reason'), [],
+          event[0] + ' should give a well-formed reason')
+        // R00 is the ILP error for a transfer that timed out
+        assert.equal(reason.code, 'R00', event[0] + ' should give the code of a timeout')
+      }
+    })
+
+    itIf('optimistic', 'should not fulfill an optimistic transfer', function (done) {
       const id = uuid()
 
       this.pluginB.once('incoming_transfer', (transfer) => {
@@ -142,7 +202,7 @@ describe('Plugin transfers (universal)', function () {
             assert(false)
           })
           .catch((e) => {
-            assert.equal(e.name, 'TransferNotConditionalError')
+            assertError(e, 'TransferNotConditionalError')
             done()
           })
           .catch(done)
@@ -172,8 +232,11 @@ describe('Plugin transfers (universal)', function () {
       }, transferA))
 
       yield this.pluginB.fulfillCondition(id, 'garbage')
+        .then(() => {
+          assert(false, 'fulfillment "garbage" should have been rejected')
+        })
         .catch((e) => {
-          assert.equal(e.name, 'InvalidFieldsError')
+          assertError(e, 'InvalidFieldsError', 'fulfillment "garbage"')
         })
 
       const transfer = yield promise
@@ -200,8 +263,11 @@ describe('Plugin transfers (universal)', function () {
       }, transferA))
 
       yield this.pluginB.fulfillCondition(id, 'wrongfulfillmentwrongfulfillmentwrongfulfil')
+        .then(() => {
+          assert(false, 'an incorrect fulfillment should have been rejected')
+        })
         .catch((e) => {
-          assert.equal(e.name, 'NotAcceptedError')
+          assertError(e, 'NotAcceptedError', 'an incorrect fulfillment')
         })
 
       const transfer = yield promise
@@ -210,6 +276,80 @@ describe('Plugin transfers (universal)', function () {
       sinon.assert.notCalled(fulfillStub)
     })
 
+    // send a transfer, check that none of `fulfillments` is accepted for it,
+    // then fulfill it with the right one
+    function * assertNotFulfilled (fulfillments, errorName) {
+      const id = uuid()
+
+      const fulfillStub = sinon.stub()
+      this.pluginA.on('outgoing_fulfill', fulfillStub)
+      this.pluginB.on('incoming_fulfill', fulfillStub)
+
+      yield this.pluginA.sendTransfer(Object.assign({
+        id: id,
+        amount: '1',
+        executionCondition: condition,
+        expiresAt: makeExpiry(timeout)
+      }, transferA))
+
+      for (const wrong of fulfillments) {
+        yield this.pluginB.fulfillCondition(id, wrong)
+          .then(() => {
+            assert(false, 'fulfillment ' + wrong + ' should have been rejected')
+          })
+          .catch((e) => {
+            assertError(e, errorName, 'fulfilling with ' + wrong)
+          })
+      }
+      sinon.assert.notCalled(fulfillStub)
+
+      const fulfilled = new Promise(resolve =>
+        this.pluginA.once('outgoing_fulfill', resolve))
+      yield this.pluginB.fulfillCondition(id, fulfillment)
+      assert.equal((yield fulfilled).id, id)
+    }
+
+    it('should not fulfill with a fulfillment of the wrong length', function * () {
+      const preimage = makeCondition().preimage
+
+      yield * assertNotFulfilled.call(this, [
+        conditions.base64url(preimage.slice(0, 31)),
+        conditions.base64url(Buffer.concat([ preimage, Buffer.from([ 0 ]) ]))
+      ], 'InvalidFieldsError')
+    })
+
+    it('should not fulfill with a fulfillment that is not base64url', function * () {
+      // the right preimage, starting with bytes that are "+/" in base64
+      const preimage = Buffer.concat([ Buffer.from([ 0xfb, 0xff ]), crypto.randomBytes(30) ])
+      const pair = makeCondition(preimage)
+      condition = pair.condition
+      fulfillment = pair.fulfillment
+
+      yield * assertNotFulfilled.call(this, [
+        preimage.toString('base64').replace(/=+$/, ''),
+        '*' + fulfillment.slice(1)
+      ], 'InvalidFieldsError')
+    })
+
+    it('should not fulfill with a padded fulfillment', function * () {
+      yield * assertNotFulfilled.call(this, [ fulfillment + '=' ], 'InvalidFieldsError')
+    })
+
+    it("should not fulfill with the fulfillment of another transfer's condition", function * () {
+      const other = makeCondition()
+      const otherId = uuid()
+
+      yield this.pluginA.sendTransfer(Object.assign({
+        id: otherId,
+        amount: '1',
+        executionCondition: other.condition,
+        expiresAt: makeExpiry(timeout)
+      }, transferA))
+
+      yield * assertNotFulfilled.call(this, [ other.fulfillment ], 'NotAcceptedError')
+      yield this.pluginB.fulfillCondition(otherId, other.fulfillment)
+    })
+
     it('should fulfill a transfer twice without error', function * () {
       const id = uuid()
 
@@ -226,7 +366,7 @@ describe('Plugin transfers (universal)', function () {
       yield this.pluginB.fulfillCondition(id, fulfillment)
       yield this.pluginB.fulfillCondition(id, fulfillment)
 
-      sinon.assert.calledTwice(fulfillStub)
+      sinon.assert.calledOnce(fulfillStub)
     })
 
     it('should fulfill a transfer after being unsuccessful', function * () {
@@ -243,8 +383,11 @@ describe('Plugin transfers (universal)', function () {
       }, transferA))
 
       yield this.pluginB.fulfillCondition(id, 'garbage')
+        .then(() => {
+          assert(false, 'fulfillment "garbage" should have been rejected')
+        })
         .catch((e) => {
-          assert.equal(e.name, 'InvalidFieldsError')
+          assertError(e, 'InvalidFieldsError', 'fulfillment "garbage"')
         })
 
       yield this.pluginB.fulfillCondition(id, fulfillment)
@@ -270,8 +413,11 @@ describe('Plugin transfers (universal)', function () {
       }, transferA))
 
       yield this.pluginB.fulfillCondition(fakeId, fulfillment)
+        .then(() => {
+          assert(false, 'fulfillCondition with a non-matching id should have been rejected')
+        })
         .catch((e) => {
-          assert.equal(e.name, 'TransferNotFoundError')
+          assertError(e, 'TransferNotFoundError', 'fulfillCondition with a non-matching id')
         })
 
       yield promise
@@ -291,7 +437,7 @@ describe('Plugin transfers (universal)', function () {
             assert(false)
           })
           .catch((e) => {
-            assert.equal(e.name, 'AlreadyRolledBackError')
+            assertError(e, 'AlreadyRolledBackError')
             done()
           })
           .catch(done)
@@ -314,8 +460,14 @@ describe('Plugin transfers (universal)', function () {
   })
 
   describe('getFulfillment', () => {
-    const condition = 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U'
-    const fulfillment = 'HS8e5Ew02XKAglyus2dh2Ohabuqmy3HDM8EXMLz22ok'
+    let condition
+    let fulfillment
+
+    beforeEach(function () {
+      const pair = makeCondition()
+      condition = pair.condition
+      fulfillment = pair.fulfillment
+    })
 
     it('should get the fulfillment of a completed transfer', function (done) {
       const id = uuid()
@@ -350,7 +502,7 @@ describe('Plugin transfers (universal)', function () {
       }, transferA))
     })
 
-    it('should not get fulfillment of an optimistic transfer', function (done) {
+    itIf('optimistic', 'should not get fulfillment of an optimistic transfer', function (done) {
       const id = uuid()
 
       this.pluginB.once('incoming_transfer', (transfer) => {
@@ -363,7 +515,7 @@ describe('Plugin transfers (universal)', function () {
             assert(false)
           })
           .catch((e) => {
-            assert.equal(e.name, 'TransferNotConditionalError')
+            assertError(e, 'TransferNotConditionalError')
             done()
           })
           .catch(done)
@@ -387,7 +539,7 @@ describe('Plugin transfers (universal)', function () {
             assert(false)
           })
           .catch((e) => {
-            assert.equal(e.name, 'AlreadyRolledBackError')
+            assertError(e, 'AlreadyRolledBackError')
             done()
           })
           .catch(done)
@@ -412,8 +564,11 @@ describe('Plugin transfers (universal)', function () {
       const id = uuid()
 
       this.pluginA.getFulfillment(id)
+        .then(() => {
+          assert(false, 'getFulfillment of a nonexistent transfer should have been rejected')
+        })
         .catch((e) => {
-          assert.equal(e.name, 'TransferNotFoundError')
+          assertError(e, 'TransferNotFoundError', 'getFulfillment of a nonexistent transfer')
           done()
         })
         .catch(done)
@@ -427,10 +582,16 @@ describe('Plugin transfers (universal)', function () {
         assert.equal(transfer.ledger, this.prefix)
 
         this.pluginA.getFulfillment(id)
+          .then(() => {
+            assert(false, 'getFulfillment of an incomplete transfer should have been rejected')
+          })
           .catch((e) => {
-            assert.equal(e.name, 'MissingFulfillmentError')
-            done()
-          }).catch(done)
+            assertError(e, 'MissingFulfillmentError', 'getFulfillment of an incomplete transfer')
+            // so that it doesn't expire during a later test
+            return this.pluginB.rejectIncomingTransfer(id, rejectionMessage)
+          })
+          .then(() => done())
+          .catch(done)
       })
 
       this.pluginA.sendTransfer(Object.assign({
@@ -443,8 +604,14 @@ describe('Plugin transfers (universal)', function () {
   })
 
   describe('rejectIncomingTransfer', () => {
-    const condition = 'uzoYx3K6u-Nt6kZjbN6KmH0yARfhkj9e17eQfpSeB7U'
-    const fulfillment = 'HS8e5Ew02XKAglyus2dh2Ohabuqmy3HDM8EXMLz22ok'
+    let condition
+    let fulfillment
+
+    beforeEach(function () {
+      const pair = makeCondition()
+      condition = pair.condition
+      fulfillment = pair.fulfillment
+    })
 
     it('should be a function', function () {
       assert.isFunction(this.pluginA.rejectIncomingTransfer)
@@ -504,7 +671,7 @@ describe('Plugin transfers (universal)', function () {
       }, transferA)).catch(done)
     })
 
-    it('should not reject an optimistic transfer', function (done) {
+    itIf('optimistic', 'should not reject an optimistic transfer', function (done) {
       const id = uuid()
 
       this.pluginB.once('incoming_transfer', (transfer) => {
@@ -517,7 +684,7 @@ describe('Plugin transfers (universal)', function () {
             assert(false)
           })
           .catch((e) => {
-            assert.equal(e.name, 'TransferNotConditionalError')
+            assertError(e, 'TransferNotConditionalError')
             done()
           })
           .catch(done)
@@ -537,10 +704,15 @@ describe('Plugin transfers (universal)', function () {
         assert.equal(transfer.ledger, this.prefix)
 
         this.pluginA.rejectIncomingTransfer(id, rejectionMessage)
+          .then(() => {
+            assert(false, 'rejectIncomingTransfer as the sender should have been rejected')
+          })
           .catch((e) => {
-            assert.equal(e.name, 'NotAcceptedError')
-            done()
+            assertError(e, 'NotAcceptedError', 'rejectIncomingTransfer as the sender')
+            // the receiver can, and does so that it doesn't expire during a later test
+            return this.pluginB.rejectIncomingTransfer(id, rejectionMessage)
           })
+          .then(() => done())
           .catch(done)
       })
 
@@ -564,7 +736,7 @@ describe('Plugin transfers (universal)', function () {
             assert(false)
           })
           .catch((e) => {
-            assert.equal(e.name, 'AlreadyFulfilledError')
+            assertError(e, 'AlreadyFulfilledError')
             done()
           })
           .catch(done)
@@ -587,11 +759,206 @@ describe('Plugin transfers (universal)', function () {
 
     it('should not reject nonexistant transfer', function (done) {
       this.pluginA.rejectIncomingTransfer(uuid(), rejectionMessage)
+        .then(() => {
+          assert(false, 'rejectIncomingTransfer of a nonexistent transfer should have been rejected')
+        })
         .catch((e) => {
-          assert.equal(e.name, 'TransferNotFoundError')
+          assertError(e, 'TransferNotFoundError', 'rejectIncomingTransfer of a nonexistent transfer')
           done()
         })
         .catch(done)
     })
+
+    it('should give both sides the reason for a rejection', function * () {
+      const id = uuid()
+      const reason = {
+        code: 'F99',
+        name: 'Application Error',
+        message: 'the receiver does not want this transfer',
+        triggered_by: this.pluginB.getAccount(),
+        triggered_at: new Date().toISOString(),
+        additional_info: { foo: 'bar' }
+      }
+
+      const prepared = new Promise(resolve =>
+        this.pluginB.once('incoming_prepare', resolve))
+      const rejected = [
+        new Promise(resolve => this.pluginA.once('outgoing_reject',
+          (transfer, given) => resolve([ 'outgoing_reject', transfer, given ]))),
+        new Promise(resolve => this.pluginB.once('incoming_reject',
+          (transfer, given) => resolve([ 'incoming_reject', transfer, given ])))
+      ]
+
+      yield this.pluginA.sendTransfer(Object.assign({
+        id: id,
+        amount: '1',
+        executionCondition: condition,
+        expiresAt: makeExpiry(timeout)
+      }, transferA))
+      yield prepared
+      yield this.pluginB.rejectIncomingTransfer(id, reason)
+
+      // a plugin may add fields, such as forwarded_by, but not change these
+      const fields = [ 'code', 'name', 'message', 'triggered_by', 'triggered_at', 'additional_info' ]
+      for (const event of yield Promise.all(rejected)) {
+        assert.equal(event[1].id, id)
+        assert.isObject(event[2], event[0] + ' should give the reason')
+        fields.forEach((field) => {
+          assert.deepEqual(event[2][field], reason[field],
+            event[0] + ' should give the ' + field + ' of the reason')
+        })
+      }
+    })
+
+    it('should not reject a transfer with a malformed reason', function * () {
+      const id = uuid()
+      const changed = (fields) => Object.assign({}, rejectionMessage, fields)
+      const without = (field) => {
+        const reason = Object.assign({}, rejectionMessage)
+        delete reason[field]
+        return reason
+      }
+      const malformed = {
+        'a string': 'There was an error',
+        'no code': without('code'),
+        'a code that is not a letter and two digits': changed({ code: 'S1' }),
+        'a numeric code': changed({ code: 1 }),
+        'no name': without('name'),
+        'no triggered_by': without('triggered_by'),
+        'no triggered_at': without('triggered_at'),
+        'a triggered_at which is not a timestamp': changed({ triggered_at: 'yesterday' }),
+        'a triggered_at which is not in UTC': changed({ triggered_at: '2017-05-03T16:14:52.813+01:00' }),
+        'additional_info which is not an object': changed({ additional_info: 'none' })
+      }
+
+      const prepared = new Promise(resolve =>
+        this.pluginB.once('incoming_prepare', resolve))
+      yield this.pluginA.sendTransfer(Object.assign({
+        id: id,
+        amount: '1',
+        executionCondition: condition,
+        expiresAt: makeExpiry(timeout)
+      }, transferA))
+      yield prepared
+
+      const rejectStub = sinon.stub()
+      this.pluginA.on('outgoing_reject', rejectStub)
+      this.pluginB.on('incoming_reject', rejectStub)
+
+      for (const description of Object.keys(malformed)) {
+        const action = 'rejectIncomingTransfer with ' + description
+        yield this.pluginB.rejectIncomingTransfer(id, malformed[description])
+          .then(() => {
+            assert(false, action + ' should have been refused')
+          })
+          .catch((e) => {
+            assertError(e, 'InvalidFieldsError', action)
+          })
+      }
+      sinon.assert.notCalled(rejectStub)
+
+      // the transfer can still be rejected properly
+      const rejected = new Promise(resolve =>
+        this.pluginA.once('outgoing_reject', resolve))
+      yield this.pluginB.rejectIncomingTransfer(id, rejectionMessage)
+      assert.equal((yield rejected).id, id)
+    })
+  })
+
+  describe('expiresAt', function () {
+    let condition
+    let fulfillment
+
+    beforeEach(function () {
+      const pair = makeCondition()
+      condition = pair.condition
+      fulfillment = pair.fulfillment
+    })
+
+    // send a transfer that has to be refused with InvalidFieldsError, without
+    // either plugin emitting anything for it
+    function * assertRefused (fields) {
+      const eventStub = sinon.stub()
+      this.pluginA.on('outgoing_prepare', eventStub)
+      this.pluginA.on('outgoing_transfer', eventStub)
+      this.pluginB.on('incoming_prepare', eventStub)
+      this.pluginB.on('incoming_transfer', eventStub)
+
+      yield this.pluginA.sendTransfer(Object.assign({
+        id: uuid(),
+        amount: '1'
+      }, fields, transferA))
+        .then(() => {
+          assert(false, 'transfer should have been refused')
+        })
+        .catch((e) => {
+          assertError(e, 'InvalidFieldsError')
+        })
+
+      sinon.assert.notCalled(eventStub)
+    }
+
+    it('should reject a transfer which has already expired', function * () {
+      yield * assertRefused.call(this, {
+        executionCondition: condition,
+        expiresAt: makeExpiry(-timeout)
+      })
+    })
+
+    it('should reject a transfer with a malformed `expiresAt`', function * () {
+      yield * assertRefused.call(this, {
+        executionCondition: condition,
+        expiresAt: makeExpiry(timeout).replace(/T[0-9]{2}/, 'T25')
+      })
+    })
+
+    it('should reject a transfer with an `expiresAt` which is not in UTC', function * () {
+      // the same time, written with an offset of an hour from UTC
+      const expiresAt = makeExpiry(timeout + 60 * 60 * 1000).replace(/Z$/, '+01:00')
+
+      yield * assertRefused.call(this, {
+        executionCondition: condition,
+        expiresAt: expiresAt
+      })
+    })
+
+    it('should reject a transfer with a condition but no `expiresAt`', function * () {
+      yield * assertRefused.call(this, {
+        executionCondition: condition
+      })
+    })
+
+    it('should reject a transfer with `expiresAt` but no condition', function * () {
+      yield * assertRefused.call(this, {
+        expiresAt: makeExpiry(timeout)
+      })
+    })
+
+    it('should not fulfill a transfer just after it expires', function * () {
+      const id = uuid()
+      const clock = useClock()
+
+      const fulfillStub = sinon.stub()
+      this.pluginA.on('outgoing_fulfill', fulfillStub)
+      this.pluginB.on('incoming_fulfill', fulfillStub)
+
+      yield this.pluginA.sendTransfer(Object.assign({
+        id: id,
+        amount: '1',
+        executionCondition: condition,
+        expiresAt: clock.makeExpiry(timeout)
+      }, transferA))
+      yield clock.advance(timeout + 1)
+
+      yield this.pluginB.fulfillCondition(id, fulfillment)
+        .then(() => {
+          assert(false, 'fulfillment should have been rejected')
+        })
+        .catch((e) => {
+          assertError(e, 'AlreadyRolledBackError')
+        })
+
+      sinon.assert.notCalled(fulfillStub)
+    })
   })
 })
@@ -1,12 +1,60 @@
 'use strict'
 
 const assert = require('chai').assert
-const testPlugin = require('..')
+const testPlugin = require('../src/config').getConfig()
+const events = require('./helpers/events')
+const capabilities = require('./helpers/capabilities')
+const describeIf = capabilities.describeIf
+const itIf = capabilities.itIf
+const itFor = capabilities.itFor
+const makeCondition = require('./helpers/conditions').makeCondition
+const assertFailure = require('./helpers/errors').assertFailure
+const transfers = require('./helpers/transfers')
+const rejectionMessage = transfers.rejectionMessage
+const sinon = require('sinon')
+const uuid = require('uuid4')
 
-const Plugin = testPlugin.plugin
+const Plugin = events.watch(testPlugin.plugin)
 const opts = testPlugin.options[0].pluginOptions
+const optsB = testPlugin.options[1].pluginOptions
+const transferA = testPlugin.options[0].transfer
 const timeout = testPlugin.timeout
 
+// transfers from A to B, and from B to A
+const toB = transfers.transferBuilder(0)
+const toA = transfers.transferBuilder(1)
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+// how late a connect to an unreachable ledger may give up after its timeout,
+// for timers that fire late
+const TIMEOUT_MARGIN = 50
+
+// a value of a different type than `value`
+const wrongType = (value) => (typeof value === 'string') ? 42 : 'invalid'
+
+// check that the constructor throws an Error with a message synchronously
+// for `options`. The interface doesn't say which error.
+const assertThrows = (options, description) => {
+  const error = assert.throws(() => {
+    return new Plugin(options)
+  }, Error, null, 'constructor should throw ' + description)
+  assert.isString(error.message)
+  assert.notEqual(error.message, '', 'the error ' + description + ' should have a message')
+}
+
+// check that a call to a disconnected plugin is rejected. The interface
+// doesn't say with which error, so any Error with a message will do.
+function * assertNotConnected (promise, method) {
+  yield promise
+    .then(() => {
+      assert(false, method + ' should have been rejected')
+    })
+    .catch((e) => {
+      assertFailure(e, method + ' while disconnected')
+    })
+}
+
 describe('Plugin setup', function () {
   beforeEach(function () {
     // give plenty of time more than the expiry
@@ -27,8 +75,22 @@ describe('Plugin setup', function () {
     })
 
     it('should throw when options are missing', function () {
-      assert.throws(() => {
-        return new Plugin()
+      assertThrows(undefined, 'without options')
+    })
+
+    itIf('requiredOptions', 'should throw when a required option is missing', function () {
+      testPlugin.requiredOptions.forEach((name) => {
+        const options = Object.assign({}, opts)
+        delete options[name]
+        assertThrows(options, 'without opts.' + name)
+      })
+    })
+
+    itIf('requiredOptions', 'should throw when a required option has the wrong type', function () {
+      testPlugin.requiredOptions.forEach((name) => {
+        const value = wrongType(opts[name])
+        assertThrows(Object.assign({}, opts, { [name]: value }),
+          'with opts.' + name + ' = ' + JSON.stringify(value))
       })
     })
   })
@@ -54,6 +116,63 @@ describe('Plugin setup', function () {
     })
   })
 
+  describeIf('unreachable', 'connect to an unreachable ledger', function () {
+    beforeEach(function * () {
+      // try each set of unreachable options at once, so that the tests only
+      // wait for the timeout once. A connect that hasn't settled a while after
+      // the timeout counts as hanging.
+      this.attempts = yield Promise.all(Object.keys(testPlugin.unreachable).map((name) => {
+        const plugin = new Plugin(testPlugin.unreachable[name])
+        const connectStub = sinon.stub()
+        plugin.on('connect', connectStub)
+
+        const start = Date.now()
+        const attempt = plugin.connect({ timeout })
+          .then(() => ({ error: null }), (e) => ({ error: e }))
+        const hung = wait(timeout * 1.5).then(() => ({ hung: true }))
+
+        return Promise.race([ attempt, hung ]).then((result) => Object.assign(result, {
+          name: name,
+          plugin: plugin,
+          connectStub: connectStub,
+          elapsed: Date.now() - start
+        }))
+      }))
+    })
+
+    afterEach(function * () {
+      for (const attempt of this.attempts) {
+        if (attempt.plugin.isConnected()) yield attempt.plugin.disconnect()
+      }
+    })
+
+    it('should reject within the timeout with an error', function () {
+      this.attempts.forEach((attempt) => {
+        assert.isNotOk(attempt.hung, attempt.name + ': connect should settle within ' +
+          timeout + 'ms, but had not after ' + attempt.elapsed + 'ms')
+        assert.isAtMost(attempt.elapsed, timeout + TIMEOUT_MARGIN, attempt.name +
+          ': connect should settle within ' + timeout + 'ms, but took ' +
+          attempt.elapsed + 'ms')
+        assert.instanceOf(attempt.error, Error, attempt.name + ': connect should be rejected')
+        assert.isString(attempt.error.message)
+        assert.notEqual(attempt.error.message, '',
+          attempt.name + ': the error should say why the plugin could not connect')
+      })
+    })
+
+    it('should not emit "connect"', function () {
+      this.attempts.forEach((attempt) => {
+        sinon.assert.notCalled(attempt.connectStub)
+      })
+    })
+
+    it('returns "false" from isConnected', function () {
+      this.attempts.forEach((attempt) => {
+        assert.isFalse(attempt.plugin.isConnected(), attempt.name)
+      })
+    })
+  })
+
   describe('disconnect', function () {
     it('should be a function', function () {
       assert.isFunction(this.plugin.disconnect)
@@ -99,4 +218,102 @@ describe('Plugin setup', function () {
       this.plugin.connect({ timeout })
     })
   })
+
+  describe('while disconnected', function () {
+    beforeEach(function * () {
+      this.pluginB = new Plugin(optsB)
+      yield this.pluginB.connect({ timeout })
+
+      // connect and disconnect, so that the plugin has been used before
+      yield this.plugin.connect({ timeout })
+      yield this.plugin.disconnect()
+      assert.isFalse(this.plugin.isConnected())
+    })
+
+    afterEach(function * () {
+      // A has to be connected again to reject what B sent it
+      if (!this.plugin.isConnected()) yield this.plugin.connect({ timeout })
+      yield toA.settle(this.plugin)
+      yield toB.settle(this.pluginB)
+      if (this.pluginB.isConnected()) yield this.pluginB.disconnect()
+    })
+
+    it('should reject sendTransfer', function * () {
+      const receivedStub = sinon.stub()
+      this.pluginB.on('incoming_transfer', receivedStub)
+      this.pluginB.on('incoming_prepare', receivedStub)
+
+      yield * assertNotConnected(this.plugin.sendTransfer(toB()), 'sendTransfer')
+      sinon.assert.notCalled(receivedStub)
+    })
+
+    itIf('messaging', 'should reject sendMessage', function * () {
+      const messageStub = sinon.stub()
+      this.pluginB.on('incoming_message', messageStub)
+
+      yield * assertNotConnected(this.plugin.sendMessage({
+        ledger: this.pluginB.getInfo().prefix,
+        account: transferA.account,
+        data: { foo: 'bar' }
+      }), 'sendMessage')
+      sinon.assert.notCalled(messageStub)
+    })
+
+    itIf('universal', 'should reject fulfillCondition', function * () {
+      yield * assertNotConnected(
+        this.plugin.fulfillCondition(uuid(), makeCondition().fulfillment),
+        'fulfillCondition')
+    })
+
+    itIf('universal', 'should reject rejectIncomingTransfer', function * () {
+      yield * assertNotConnected(
+        this.plugin.rejectIncomingTransfer(uuid(), rejectionMessage),
+        'rejectIncomingTransfer')
+    })
+
+    it('should reject getBalance', function * () {
+      yield * assertNotConnected(this.plugin.getBalance(), 'getBalance')
+    })
+
+    itFor([ 1 ], 'should not emit events for incoming transfers', function * () {
+      const eventStub = sinon.stub()
+      this.plugin.on('incoming_transfer', eventStub)
+      this.plugin.on('incoming_prepare', eventStub)
+
+      // B sends to A, which is the disconnected plugin
+      const transfer = toA()
+      const sent = new Promise(resolve => {
+        this.pluginB.once('outgoing_transfer', resolve)
+        this.pluginB.once('outgoing_prepare', resolve)
+      })
+      yield this.pluginB.sendTransfer(transfer)
+      yield sent
+
+      sinon.assert.notCalled(eventStub)
+    })
+
+    itFor([ 1 ], 'should work again after connecting', function * () {
+      const connected = new Promise(resolve => this.plugin.once('connect', resolve))
+      yield this.plugin.connect({ timeout })
+      yield connected
+      assert.isTrue(this.plugin.isConnected())
+
+      const balance = yield this.plugin.getBalance()
+      assert.isString(balance)
+
+      const transfer = toB()
+      const received = new Promise(resolve => {
+        this.pluginB.once('incoming_transfer', resolve)
+        this.pluginB.once('incoming_prepare', resolve)
+      })
+      const sent = new Promise(resolve => {
+        this.plugin.once('outgoing_transfer', resolve)
+        this.plugin.once('outgoing_prepare', resolve)
+      })
+
+      yield this.plugin.sendTransfer(transfer)
+      assert.equal((yield received).id, transfer.id)
+      assert.equal((yield sent).id, transfer.id)
+    })
+  })
 })
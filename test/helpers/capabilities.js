@@ -0,0 +1,62 @@
+'use strict'
+
+const capabilities = require('../../src/capabilities')
+const versions = require('../../src/versions')
+const config = require('../../src/config').getConfig()
+
+const supports = (name) => capabilities.supports(config, name)
+
+// the first of a capability or list of them that isn't supported
+const firstMissing = (names) => [].concat(names).filter((name) => !supports(name))[0]
+
+/**
+ * Describe a section that needs a capability, or a list of them. If the
+ * plugin doesn't support one of them, the section is skipped and the reason
+ * is kept on the suite.
+ */
+function describeIf (names, title, fn) {
+  const missing = firstMissing(names)
+  if (!missing) return describe(title, fn)
+
+  describe.skip(title, function () {
+    this.skipReason = capabilities.skipReason(config, missing)
+    fn.call(this)
+  })
+}
+
+/**
+ * Describe a test that needs a capability, or a list of them, skipping it
+ * with a reason if the plugin doesn't support one of them.
+ */
+function itIf (names, title, fn) {
+  const missing = firstMissing(names)
+  if (!missing) return it(title, fn)
+
+  const test = it(title)
+  test.skipReason = capabilities.skipReason(config, missing)
+  return test
+}
+
+/**
+ * Describe a test for only some versions of the interface (see
+ * src/versions), skipping it with a reason if the plugin implements none of
+ * them.
+ */
+function itFor (list, title, fn) {
+  if (versions.implementsAny(config, list)) return it(title, fn)
+
+  const test = it(title)
+  test.skipReason = 'the plugin does not implement version ' + list.join(' or ') +
+    ' of the interface'
+  return test
+}
+
+/**
+ * Describe a section which only runs when the config declares a capability
+ * unsupported, to check that the plugin refuses to use it.
+ */
+function describeUnless (name, title, fn) {
+  if (capabilities.refuses(config, name)) return describe(title, fn)
+}
+
+module.exports = { supports, describeIf, itIf, itFor, describeUnless }
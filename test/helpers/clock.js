@@ -0,0 +1,86 @@
+'use strict'
+
+const sinon = require('sinon')
+const config = require('../../src/config').getConfig()
+
+// kept before any fake timers are installed, to let the plugin react to a
+// tick while the clock is fake
+const realSetImmediate = setImmediate
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+const settle = () => new Promise(resolve => realSetImmediate(resolve))
+
+// clocks made during the current test
+const clocks = []
+
+// this runs after the specs' own afterEach hooks, so the clock stays fake
+// until the plugins have disconnected
+afterEach(function () {
+  return clocks.splice(0).reduce((restored, clock) => {
+    return restored.then(() => clock.restore())
+  }, Promise.resolve())
+})
+
+/**
+ * Make the clock that an expiry test runs on, chosen by the config's `clock`:
+ *
+ * - by default, the wall clock. Advancing it waits.
+ * - "fake": sinon's fake timers, installed until `restore` is called. The
+ *   plugin has to use `Date` and `setTimeout` to expire transfers.
+ * - an object with `now()` and `advance(ms)`, for plugins which take their
+ *   time from somewhere else. `advance` may return a promise.
+ *
+ * Expiries have to be made with `makeExpiry`, so that every transfer that the
+ * test left prepared can be expired when the test ends, before time is real
+ * again. That happens by itself after the test.
+ */
+function useClock () {
+  const hook = (typeof config.clock === 'object') ? config.clock : null
+  const fake = (config.clock === 'fake') ? sinon.useFakeTimers(Date.now()) : null
+  let now
+  let advance
+
+  if (hook) {
+    now = () => hook.now()
+    advance = (ms) => Promise.resolve(hook.advance(ms)).then(settle)
+  } else if (fake) {
+    now = () => Date.now()
+    advance = (ms) => {
+      fake.tick(ms)
+      return settle()
+    }
+  } else {
+    now = () => Date.now()
+    advance = wait
+  }
+
+  let latest = now()
+  const clock = {
+    now,
+    advance,
+
+    makeExpiry (ms) {
+      latest = Math.max(latest, now() + ms)
+      return new Date(now() + ms).toISOString()
+    },
+
+    restore () {
+      const remaining = Math.max(latest - now() + 1, 0)
+      if (fake) {
+        try {
+          fake.tick(remaining)
+        } finally {
+          fake.restore()
+        }
+        return settle()
+      }
+
+      // the wall clock moves on by itself
+      return hook ? advance(remaining) : Promise.resolve()
+    }
+  }
+
+  clocks.push(clock)
+  return clock
+}
+
+module.exports = { useClock }
@@ -0,0 +1,27 @@
+'use strict'
+
+const crypto = require('crypto')
+
+const base64url = (buffer) => {
+  return buffer.toString('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+}
+
+/**
+ * Make a fulfillment and the condition it fulfills: a random 32-byte preimage
+ * and its SHA-256 hash, both base64url encoded without padding. A preimage
+ * can be given instead, to encode it in other ways too.
+ */
+function makeCondition (preimage) {
+  preimage = preimage || crypto.randomBytes(32)
+
+  return {
+    preimage: preimage,
+    fulfillment: base64url(preimage),
+    condition: base64url(crypto.createHash('sha256').update(preimage).digest())
+  }
+}
+
+module.exports = { base64url, makeCondition }
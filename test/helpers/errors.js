@@ -0,0 +1,81 @@
+'use strict'
+
+const assert = require('chai').assert
+const ERRORS = require('../../src/errors').ERRORS
+
+/**
+ * Check that `error` is an Error, named `name` or one of a list of names from
+ * the catalog in src/errors, and that it has a message. `action` says what
+ * was done, for the failure message.
+ *
+ * Failed assertions are thrown again as they are, so that a test can assert
+ * that a call is rejected and check the error in the same `catch`.
+ */
+function assertError (error, name, action) {
+  if (error && error.name === 'AssertionError') throw error
+
+  const names = [].concat(name)
+  names.forEach((name) => {
+    if (!ERRORS[name]) throw new Error('unknown error name: ' + name)
+  })
+
+  const prefix = action ? action + ': ' : ''
+  assert.instanceOf(error, Error, prefix + 'should fail with an Error')
+  assert(names.indexOf(error.name) !== -1, prefix + 'should fail with ' +
+    names.join(' or ') + ', but failed with ' + error.name + ': ' + error.message)
+  assert.isString(error.message, prefix + 'the ' + error.name + ' should have a message')
+  assert.notEqual(error.message, '', prefix + 'the ' + error.name + ' should have a message')
+}
+
+/**
+ * Check that `error` is an Error with a message, for failures that the
+ * interface doesn't name an error for. Failed assertions are thrown again, as
+ * in `assertError`.
+ */
+function assertFailure (error, action) {
+  if (error && error.name === 'AssertionError') throw error
+
+  const prefix = action ? action + ': ' : ''
+  assert.instanceOf(error, Error, prefix + 'should fail with an Error')
+  assert.isString(error.message, prefix + 'the error should have a message')
+  assert.notEqual(error.message, '', prefix + 'the error should have a message')
+}
+
+/**
+ * Check that `promise` is rejected, with the error `name` as in
+ * `assertError`, or with any Error that has a message if `name` is null.
+ * Resolves to the error, when run with `yield *`.
+ */
+function * assertRejected (promise, name, action) {
+  const error = yield Promise.resolve(promise).then(() => null, (e) => e)
+  assert.isOk(error, action + ' should have been rejected')
+  if (name) {
+    assertError(error, name, action)
+  } else {
+    assertFailure(error, action)
+  }
+  return error
+}
+
+/**
+ * Check that `fn` throws synchronously, with the error `name` as in
+ * `assertError`, or with any Error that has a message if `name` is null.
+ * Returns the error.
+ */
+function assertThrows (fn, name, action) {
+  let error = null
+  try {
+    fn()
+  } catch (e) {
+    error = e
+  }
+  assert.isOk(error, action + ' should throw')
+  if (name) {
+    assertError(error, name, action)
+  } else {
+    assertFailure(error, action)
+  }
+  return error
+}
+
+module.exports = { assertError, assertFailure, assertRejected, assertThrows }
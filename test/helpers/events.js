@@ -0,0 +1,53 @@
+'use strict'
+
+const LifecycleChecker = require('../../src/lifecycle')
+const validateEvent = require('../../src/schemas').validateEvent
+
+const violations = []
+const checker = new LifecycleChecker((error) => violations.push(error))
+
+beforeEach(function () {
+  checker.currentTest = this.currentTest.fullTitle()
+})
+
+// this runs after the specs' own afterEach hooks, so events emitted while
+// disconnecting are checked too. Illegal events fail the test even if it has
+// already passed, the same way mocha reports done() being called twice.
+afterEach(function () {
+  const errors = violations.splice(0)
+  if (!errors.length || this.currentTest.state === 'failed') return
+
+  const error = new Error(errors.map((e) => e.name + ': ' + e.message).join('\n'))
+  error.name = 'PluginEventError'
+  this.currentTest.emit('error', error)
+})
+
+/**
+ * Wrap a plugin constructor so that the events of every instance it makes
+ * are checked against the transfer lifecycle (see src/lifecycle), and their
+ * payloads against the interface schemas (see src/schemas).
+ */
+function watch (Plugin) {
+  const WatchedPlugin = function () {
+    const plugin = new Plugin(...arguments)
+    checker.watch(plugin)
+
+    const emit = plugin.emit
+    plugin.emit = function (event) {
+      const args = Array.prototype.slice.call(arguments, 1)
+      validateEvent(event, args).forEach((problem) => {
+        const error = new Error('invalid payload: ' + problem)
+        error.name = 'SchemaError'
+        violations.push(error)
+      })
+      return emit.apply(this, arguments)
+    }
+
+    return plugin
+  }
+
+  WatchedPlugin.prototype = Plugin.prototype
+  return WatchedPlugin
+}
+
+module.exports = { watch }
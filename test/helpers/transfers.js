@@ -0,0 +1,70 @@
+'use strict'
+
+const testPlugin = require('../../src/config').getConfig()
+const capabilities = require('./capabilities')
+const makeCondition = require('./conditions').makeCondition
+const uuid = require('uuid4')
+
+const timeout = testPlugin.timeout
+
+// the reason that the suite rejects transfers with
+const rejectionMessage = {
+  code: 'S01',
+  name: 'Sender Error',
+  message: 'There was an error',
+  triggered_by: 'example.alice',
+  triggered_at: '2017-05-03T15:14:52.813Z',
+  additional_info: {}
+}
+
+/**
+ * Make an expiry `ms` milliseconds from now on the wall clock. Expiry tests
+ * make theirs with the clock from ./clock instead.
+ */
+const makeExpiry = (ms) => {
+  return (new Date((new Date()).getTime() + ms)).toISOString()
+}
+
+/**
+ * Make a builder of transfers from one account in the config's options to
+ * another, by default from the first to the second: `from` is the index of
+ * the sender in the options. `build(fields)` makes a transfer of one unit,
+ * optimistic if the plugin supports that, or else conditional and expiring
+ * after the config's timeout. `fields` override what it made.
+ *
+ * A conditional transfer stays prepared until it is settled, and if it
+ * expires during a later test, it changes the balances that test sees.
+ * `build.settle(receiver)` rejects every conditional transfer that the
+ * builder made since it was last called, as the connected plugin `receiver`.
+ * Transfers that were settled already, or never prepared, are left alone.
+ */
+function transferBuilder (from) {
+  const to = testPlugin.options[from || 0].transfer
+  let made = []
+
+  const build = (fields) => {
+    const transfer = { id: uuid(), amount: '1' }
+    if (!capabilities.supports('optimistic')) {
+      transfer.executionCondition = makeCondition().condition
+      transfer.expiresAt = makeExpiry(timeout)
+      made.push(transfer)
+    }
+    return Object.assign(transfer, to, fields)
+  }
+
+  build.settle = (receiver) => {
+    const transfers = made
+    made = []
+    // without conditional transfers, nothing was prepared
+    if (!capabilities.supports('universal')) return Promise.resolve()
+
+    return Promise.all(transfers.map((transfer) => {
+      return receiver.rejectIncomingTransfer(transfer.id, rejectionMessage)
+        .catch(() => null)
+    }))
+  }
+
+  return build
+}
+
+module.exports = { rejectionMessage, makeExpiry, transferBuilder }
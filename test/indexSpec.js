@@ -1,7 +1,7 @@
 'use strict'
 
 const assert = require('chai').assert
-const testPlugin = require('..')
+const testPlugin = require('../src/config').getConfig()
 
 const Plugin = testPlugin.plugin
 
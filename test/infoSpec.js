@@ -1,10 +1,13 @@
 'use strict'
 
 const assert = require('chai').assert
-const testPlugin = require('..')
+const testPlugin = require('../src/config').getConfig()
+const events = require('./helpers/events')
+const schemas = require('../src/schemas')
 
-const Plugin = testPlugin.plugin
+const Plugin = events.watch(testPlugin.plugin)
 const opts = testPlugin.options[0].pluginOptions
+const optsB = testPlugin.options[1].pluginOptions
 const timeout = testPlugin.timeout
 
 describe('Plugin info', function () {
@@ -41,6 +44,29 @@ describe('Plugin info', function () {
         assert.isString(connector)
       })
     })
+
+    it('should match the LedgerInfo schema', function () {
+      const problems = schemas.validate('LedgerInfo', this.plugin.getInfo(), 'info')
+      assert.deepEqual(problems, [], 'getInfo() should match the LedgerInfo schema')
+    })
+  })
+
+  describe('getAccount', function () {
+    // the config says where each of the first two plugins sends transfers,
+    // which only the plugins themselves can confirm
+    it('should be the account that the other plugin sends to', function * () {
+      const pluginB = new Plugin(optsB)
+      yield pluginB.connect({ timeout })
+
+      try {
+        assert.equal(testPlugin.options[0].transfer.account, pluginB.getAccount(),
+          'options[0].transfer.account should be the account of the plugin made from options[1]')
+        assert.equal(testPlugin.options[1].transfer.account, this.plugin.getAccount(),
+          'options[1].transfer.account should be the account of the plugin made from options[0]')
+      } finally {
+        yield pluginB.disconnect()
+      }
+    })
   })
 
   describe('getBalance', function () {
@@ -1,9 +1,12 @@
 'use strict'
 
 const assert = require('chai').assert
-const testPlugin = require('..')
+const testPlugin = require('../src/config').getConfig()
+const events = require('./helpers/events')
+const describeIf = require('./helpers/capabilities').describeIf
+const assertError = require('./helpers/errors').assertError
 
-const Plugin = testPlugin.plugin
+const Plugin = events.watch(testPlugin.plugin)
 
 const optsA = testPlugin.options[0].pluginOptions
 const optsB = testPlugin.options[1].pluginOptions
@@ -11,7 +14,7 @@ const transferA = testPlugin.options[0].transfer
 const transferB = testPlugin.options[1].transfer
 const timeout = testPlugin.timeout
 
-describe('Plugin messaging', function () {
+describeIf('messaging', 'Plugin messaging', function () {
   beforeEach(function * () {
     // give plenty of time more than the expiry
     this.timeout += timeout * 2
@@ -66,8 +69,10 @@ describe('Plugin messaging', function () {
       this.pluginA.sendMessage({
         account: transferA.account,
         data: {foo: 'bar'}
+      }).then(() => {
+        assert(false, 'message without `ledger` should have been rejected')
       }).catch((e) => {
-        assert.equal(e.name, 'InvalidFieldsError')
+        assertError(e, 'InvalidFieldsError', 'message without `ledger`')
         done()
       }).catch(done)
     })
@@ -77,8 +82,10 @@ describe('Plugin messaging', function () {
         ledger: 'fail',
         account: transferA.account,
         data: {foo: 'bar'}
+      }).then(() => {
+        assert(false, 'message with an incorrect `ledger` should have been rejected')
       }).catch((e) => {
-        assert.equal(e.name, 'InvalidFieldsError')
+        assertError(e, 'InvalidFieldsError', 'message with an incorrect `ledger`')
         done()
       }).catch(done)
     })
@@ -87,8 +94,10 @@ describe('Plugin messaging', function () {
       this.pluginA.sendMessage({
         ledger: this.prefix,
         data: {foo: 'bar'}
+      }).then(() => {
+        assert(false, 'message without `account` should have been rejected')
       }).catch((e) => {
-        assert.equal(e.name, 'InvalidFieldsError')
+        assertError(e, 'InvalidFieldsError', 'message without `account`')
         done()
       }).catch(done)
     })
@@ -97,8 +106,10 @@ describe('Plugin messaging', function () {
       this.pluginA.sendMessage({
         ledger: this.prefix,
         account: transferA.account
+      }).then(() => {
+        assert(false, 'message without `data` should have been rejected')
       }).catch((e) => {
-        assert.equal(e.name, 'InvalidFieldsError')
+        assertError(e, 'InvalidFieldsError', 'message without `data`')
         done()
       }).catch(done)
     })
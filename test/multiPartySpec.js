@@ -0,0 +1,201 @@
+'use strict'
+
+const assert = require('chai').assert
+const testPlugin = require('../src/config').getConfig()
+const events = require('./helpers/events')
+const capabilities = require('./helpers/capabilities')
+const describeIf = capabilities.describeIf
+const itIf = capabilities.itIf
+const makeCondition = require('./helpers/conditions').makeCondition
+const transfers = require('./helpers/transfers')
+const makeExpiry = transfers.makeExpiry
+const uuid = require('uuid4')
+
+const Plugin = events.watch(testPlugin.plugin)
+
+const timeout = testPlugin.timeout
+const amount = '1'
+const EVENTS = [
+  'incoming_transfer', 'outgoing_transfer',
+  'incoming_prepare', 'outgoing_prepare',
+  'incoming_fulfill', 'outgoing_fulfill',
+  'incoming_reject', 'outgoing_reject',
+  'incoming_cancel', 'outgoing_cancel'
+]
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+// the name of the plugin made from each entry in options, for messages
+const nameOf = (i) => String.fromCharCode('A'.charCodeAt(0) + i)
+
+describeIf('multiparty', 'Plugin multi-party', function () {
+  beforeEach(function * () {
+    // give plenty of time more than the expiry
+    this.currentTest.timeout(this.currentTest.timeout() + timeout * 2)
+
+    this.plugins = testPlugin.options.map((option) => new Plugin(option.pluginOptions))
+    for (const plugin of this.plugins) {
+      const p = new Promise(resolve => plugin.once('connect', resolve))
+      yield plugin.connect({ timeout })
+      yield p
+      assert.isTrue(plugin.isConnected())
+    }
+
+    this.prefix = this.plugins[0].getInfo().prefix
+    this.accounts = this.plugins.map((plugin) => plugin.getAccount())
+    this.accounts.forEach((account, i) => {
+      assert.equal(this.accounts.indexOf(account), i,
+        'plugin ' + nameOf(i) + ' should have an account of its own, got ' + account)
+    })
+
+    // every transfer event that any plugin emits, as "<plugin> <event> <id>"
+    this.seen = []
+    this.plugins.forEach((plugin, i) => {
+      EVENTS.forEach((event) => {
+        plugin.on(event, (transfer) => {
+          this.seen.push(nameOf(i) + ' ' + event + ' ' + transfer.id)
+        })
+      })
+    })
+
+    // send a transfer from the plugin at index `from` to the one at `to`
+    this.send = (from, to, fields) => {
+      return this.plugins[from].sendTransfer(Object.assign({
+        id: uuid(),
+        amount: amount
+      }, fields, testPlugin.options[from].transfer, {
+        account: this.accounts[to]
+      }))
+    }
+
+    // wait until every one of `expected` has been seen, then a while longer
+    // for events that shouldn't happen. Check that the events for `ids` are
+    // exactly the expected ones.
+    this.assertEvents = function * (ids, expected) {
+      const forIds = () => this.seen.filter((seen) => {
+        return ids.indexOf(seen.split(' ')[2]) !== -1
+      })
+
+      const deadline = Date.now() + timeout * 2
+      while (forIds().length < expected.length && Date.now() < deadline) {
+        yield wait(10)
+      }
+      yield wait(timeout / 2)
+
+      const actual = forIds().sort()
+      assert.deepEqual(actual, expected.slice().sort(),
+        'events seen:\n  ' + actual.join('\n  ') + '\n')
+    }
+  })
+
+  afterEach(function * () {
+    for (const plugin of this.plugins) {
+      if (plugin.isConnected()) yield plugin.disconnect()
+    }
+  })
+
+  describe('sendTransfer', function () {
+    itIf('optimistic', 'should send to several accounts at once', function * () {
+      const ids = []
+      const expected = []
+      const receivers = this.plugins.map((plugin, i) => i).slice(1)
+
+      yield Promise.all(receivers.map((to) => {
+        const id = uuid()
+        ids.push(id)
+        expected.push('A outgoing_transfer ' + id, nameOf(to) + ' incoming_transfer ' + id)
+        return this.send(0, to, { id: id })
+      }))
+
+      yield * this.assertEvents(ids, expected)
+    })
+
+    itIf('optimistic', 'should receive from several accounts at once', function * () {
+      const ids = []
+      const expected = []
+      const senders = this.plugins.map((plugin, i) => i).slice(1)
+
+      yield Promise.all(senders.map((from) => {
+        const id = uuid()
+        ids.push(id)
+        expected.push(nameOf(from) + ' outgoing_transfer ' + id, 'A incoming_transfer ' + id)
+        return this.send(from, 0, { id: id })
+      }))
+
+      yield * this.assertEvents(ids, expected)
+    })
+
+    itIf('universal', 'should pass a conditional transfer around A, B and C and back', function * () {
+      // A pays B, who pays C, who pays A, all on the same condition. A then
+      // fulfills the last transfer and each fulfillment is passed back.
+      const pair = makeCondition()
+      const ids = [ uuid(), uuid(), uuid() ]
+      const route = [ [ 0, 1 ], [ 1, 2 ], [ 2, 0 ] ]
+      const fields = (hop) => ({
+        id: ids[hop],
+        executionCondition: pair.condition,
+        expiresAt: makeExpiry(timeout * 2)
+      })
+
+      const errors = []
+      const settle = (promise) => promise.catch((e) => errors.push(e))
+
+      this.plugins[1].on('incoming_prepare', (transfer) => {
+        if (transfer.id === ids[0]) settle(this.send(1, 2, fields(1)))
+      })
+      this.plugins[2].on('incoming_prepare', (transfer) => {
+        if (transfer.id === ids[1]) settle(this.send(2, 0, fields(2)))
+      })
+      this.plugins[0].on('incoming_prepare', (transfer) => {
+        if (transfer.id === ids[2]) {
+          settle(this.plugins[0].fulfillCondition(ids[2], pair.fulfillment))
+        }
+      })
+      this.plugins[2].on('outgoing_fulfill', (transfer, fulfillment) => {
+        if (transfer.id === ids[2]) settle(this.plugins[2].fulfillCondition(ids[1], fulfillment))
+      })
+      this.plugins[1].on('outgoing_fulfill', (transfer, fulfillment) => {
+        if (transfer.id === ids[1]) settle(this.plugins[1].fulfillCondition(ids[0], fulfillment))
+      })
+
+      yield this.send(0, 1, fields(0))
+
+      const expected = []
+      route.forEach((hop, i) => {
+        expected.push(
+          nameOf(hop[0]) + ' outgoing_prepare ' + ids[i],
+          nameOf(hop[1]) + ' incoming_prepare ' + ids[i],
+          nameOf(hop[0]) + ' outgoing_fulfill ' + ids[i],
+          nameOf(hop[1]) + ' incoming_fulfill ' + ids[i])
+      })
+
+      yield * this.assertEvents(ids, expected)
+      if (errors.length) throw errors[0]
+    })
+  })
+
+  describeIf('messaging', 'sendMessage', function () {
+    it('should only deliver a message to its receiver', function * () {
+      const received = this.plugins.map(() => [])
+      this.plugins.forEach((plugin, i) => {
+        plugin.on('incoming_message', (message) => received[i].push(message))
+      })
+
+      const delivered = new Promise(resolve =>
+        this.plugins[1].once('incoming_message', resolve))
+
+      yield this.plugins[0].sendMessage({
+        ledger: this.prefix,
+        account: this.accounts[1],
+        data: { foo: 'bar' }
+      })
+      yield delivered
+      yield wait(timeout / 2)
+
+      assert.lengthOf(received[1], 1, 'B should get the message once')
+      received.forEach((messages, i) => {
+        if (i !== 1) assert.lengthOf(messages, 0, nameOf(i) + ' should not get the message')
+      })
+    })
+  })
+})
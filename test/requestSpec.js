@@ -0,0 +1,165 @@
+'use strict'
+
+const assert = require('chai').assert
+const testPlugin = require('../src/config').getConfig()
+const events = require('./helpers/events')
+const capabilities = require('./helpers/capabilities')
+const describeIf = capabilities.describeIf
+const itIf = capabilities.itIf
+const errorHelpers = require('./helpers/errors')
+const assertRejected = errorHelpers.assertRejected
+const assertThrows = errorHelpers.assertThrows
+const uuid = require('uuid4')
+
+const Plugin = events.watch(testPlugin.plugin)
+
+const optsA = testPlugin.options[0].pluginOptions
+const optsB = testPlugin.options[1].pluginOptions
+const transferA = testPlugin.options[0].transfer
+const timeout = testPlugin.timeout
+// how long the plugin waits for a response before it gives up, if the
+// config says
+const requestTimeout = testPlugin.requestTimeout
+
+describeIf('requests', 'Plugin requests', function () {
+  beforeEach(function * () {
+    // give plenty of time more than the request timeout
+    this.currentTest.timeout(this.currentTest.timeout() + (requestTimeout || timeout) * 2)
+
+    this.pluginA = new Plugin(optsA)
+    this.pluginB = new Plugin(optsB)
+
+    const pA = new Promise(resolve => this.pluginA.once('connect', resolve))
+    yield this.pluginA.connect({ timeout })
+    yield pA
+
+    const pB = new Promise(resolve => this.pluginB.once('connect', resolve))
+    yield this.pluginB.connect({ timeout })
+    yield pB
+
+    assert.isTrue(this.pluginA.isConnected())
+    assert.isTrue(this.pluginB.isConnected())
+
+    this.prefix = this.pluginA.getInfo().prefix
+
+    // a request from A to B
+    this.makeRequest = () => ({
+      id: uuid(),
+      ledger: this.prefix,
+      to: transferA.account,
+      custom: { foo: 'bar' }
+    })
+  })
+
+  afterEach(function * () {
+    if (this.pluginA.isConnected()) yield this.pluginA.disconnect()
+    if (this.pluginB.isConnected()) yield this.pluginB.disconnect()
+  })
+
+  describe('sendRequest', function () {
+    it('should be a function', function () {
+      assert.isFunction(this.pluginA.sendRequest)
+    })
+
+    it('should resolve to the response of the receiver\'s handler', function * () {
+      const request = this.makeRequest()
+      const received = []
+      this.pluginB.registerRequestHandler((message) => {
+        received.push(message)
+        return Promise.resolve({
+          ledger: this.prefix,
+          to: this.pluginA.getAccount(),
+          custom: { baz: 'qux' }
+        })
+      })
+
+      const response = yield this.pluginA.sendRequest(request)
+
+      assert.lengthOf(received, 1, 'the handler should be called once')
+      assert.deepEqual(received[0], {
+        id: request.id,
+        ledger: this.prefix,
+        from: this.pluginA.getAccount(),
+        to: transferA.account,
+        custom: { foo: 'bar' }
+      })
+
+      assert.equal(response.id, request.id)
+      assert.equal(response.ledger, this.prefix)
+      assert.equal(response.from, transferA.account)
+      assert.equal(response.to, this.pluginA.getAccount())
+      assert.deepEqual(response.custom, { baz: 'qux' })
+    })
+
+    it('should reject when the handler throws', function * () {
+      this.pluginB.registerRequestHandler(() => {
+        throw new Error('the handler threw')
+      })
+
+      const error = yield * assertRejected(this.pluginA.sendRequest(this.makeRequest()),
+        null, 'a request that the handler threw on')
+      assert.include(error.message, 'the handler threw')
+    })
+
+    it('should reject when the handler rejects', function * () {
+      this.pluginB.registerRequestHandler(() => {
+        return Promise.reject(new Error('the handler rejected'))
+      })
+
+      const error = yield * assertRejected(this.pluginA.sendRequest(this.makeRequest()),
+        null, 'a request that the handler rejected')
+      assert.include(error.message, 'the handler rejected')
+    })
+
+    it('should reject when the receiver has no handler', function * () {
+      yield * assertRejected(this.pluginA.sendRequest(this.makeRequest()),
+        'NotAcceptedError', 'a request without a handler')
+    })
+
+    // the interface doesn't name an error for this
+    itIf('requestTimeout', 'should reject when the handler does not respond in time', function * () {
+      this.pluginB.registerRequestHandler(() => new Promise(() => {}))
+
+      const start = Date.now()
+      yield * assertRejected(this.pluginA.sendRequest(this.makeRequest()),
+        null, 'a request without a response')
+      assert.isAtMost(Date.now() - start, requestTimeout * 1.5,
+        'the request should time out after ' + requestTimeout + 'ms')
+    })
+
+    it('should reject a request missing `to`', function * () {
+      const request = this.makeRequest()
+      delete request.to
+      yield * assertRejected(this.pluginA.sendRequest(request),
+        'InvalidFieldsError', 'a request without `to`')
+    })
+
+    it('should reject a request with an incorrect `ledger`', function * () {
+      yield * assertRejected(
+        this.pluginA.sendRequest(Object.assign(this.makeRequest(), { ledger: 'fail' })),
+        'InvalidFieldsError', 'a request for another ledger')
+    })
+  })
+
+  describe('registerRequestHandler', function () {
+    it('should throw if a handler is already registered', function () {
+      this.pluginB.registerRequestHandler(() => Promise.resolve({}))
+      assertThrows(() => {
+        this.pluginB.registerRequestHandler(() => Promise.resolve({}))
+      }, 'RequestHandlerAlreadyRegisteredError', 'registering a second handler')
+    })
+
+    it('should stop calling a handler once it is deregistered', function * () {
+      let calls = 0
+      this.pluginB.registerRequestHandler(() => {
+        calls++
+        return Promise.resolve({})
+      })
+      this.pluginB.deregisterRequestHandler()
+
+      yield * assertRejected(this.pluginA.sendRequest(this.makeRequest()),
+        'NotAcceptedError', 'a request after the handler was deregistered')
+      assert.equal(calls, 0)
+    })
+  })
+})
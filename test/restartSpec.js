@@ -0,0 +1,190 @@
+'use strict'
+
+const assert = require('chai').assert
+const testPlugin = require('../src/config').getConfig()
+const events = require('./helpers/events')
+const capabilities = require('./helpers/capabilities')
+const describeIf = capabilities.describeIf
+const itIf = capabilities.itIf
+const itFor = capabilities.itFor
+const makeCondition = require('./helpers/conditions').makeCondition
+const assertError = require('./helpers/errors').assertError
+const transfers = require('./helpers/transfers')
+const rejectionMessage = transfers.rejectionMessage
+const makeExpiry = transfers.makeExpiry
+const uuid = require('uuid4')
+
+const Plugin = events.watch(testPlugin.plugin)
+
+const transferA = testPlugin.options[0].transfer
+const timeout = testPlugin.timeout
+const toB = transfers.transferBuilder(0)
+
+// a new store from the config's factory, which records what is written to
+// it and the keys read from it
+const makeStore = () => {
+  const store = testPlugin.store()
+  const written = []
+  const read = []
+
+  return {
+    written: written,
+    read: read,
+    get: (key) => {
+      read.push(key)
+      return store.get(key)
+    },
+    put: (key, value) => {
+      written.push({ key, value })
+      return store.put(key, value)
+    },
+    del: (key) => store.del(key)
+  }
+}
+
+// whether a key or value written to a store mentions a string
+const mentions = (entry, text) => {
+  return [ entry.key, entry.value ].some((part) => {
+    return (typeof part === 'string' ? part : JSON.stringify(part) || '').indexOf(text) !== -1
+  })
+}
+
+describe('Plugin restarts', function () {
+  beforeEach(function * () {
+    // give plenty of time more than the expiry
+    this.currentTest.timeout(this.currentTest.timeout() + timeout * 2)
+
+    // each plugin gets a fresh store, if the config can make them. A plugin
+    // that is restarted is made with the same options, and so the same store.
+    this.options = testPlugin.options.slice(0, 2).map((option) => {
+      if (!capabilities.supports('store')) return option.pluginOptions
+      return Object.assign({}, option.pluginOptions, { _store: makeStore() })
+    })
+
+    this.connect = function * (i) {
+      const plugin = new Plugin(this.options[i])
+      const p = new Promise(resolve => plugin.once('connect', resolve))
+      yield plugin.connect({ timeout })
+      yield p
+      assert.isTrue(plugin.isConnected())
+      return plugin
+    }
+
+    // disconnect a plugin and replace it with a brand-new instance
+    this.restart = function * (name) {
+      const i = (name === 'pluginA') ? 0 : 1
+      yield this[name].disconnect()
+      this[name] = yield * this.connect(i)
+    }
+
+    this.pluginA = yield * this.connect(0)
+    this.pluginB = yield * this.connect(1)
+  })
+
+  afterEach(function * () {
+    // a transfer that was conditional, because optimistic ones aren't
+    // supported, would otherwise expire during a later test
+    yield toB.settle(this.pluginB)
+    if (this.pluginA.isConnected()) yield this.pluginA.disconnect()
+    if (this.pluginB.isConnected()) yield this.pluginB.disconnect()
+  })
+
+  describeIf('universal', 'conditional transfers', function () {
+    beforeEach(function * () {
+      this.id = uuid()
+      this.condition = makeCondition()
+
+      const prepared = new Promise(resolve =>
+        this.pluginB.once('incoming_prepare', resolve))
+
+      yield this.pluginA.sendTransfer(Object.assign({
+        id: this.id,
+        amount: '1',
+        executionCondition: this.condition.condition,
+        expiresAt: makeExpiry(timeout)
+      }, transferA))
+      yield prepared
+    })
+
+    it('should fulfill a transfer that was prepared before a restart', function * () {
+      yield * this.restart('pluginB')
+
+      const fulfilled = new Promise(resolve =>
+        this.pluginA.once('outgoing_fulfill', resolve))
+      yield this.pluginB.fulfillCondition(this.id, this.condition.fulfillment)
+      assert.equal((yield fulfilled).id, this.id)
+    })
+
+    it('should reject a transfer that was prepared before a restart', function * () {
+      yield * this.restart('pluginB')
+
+      const rejected = new Promise(resolve =>
+        this.pluginA.once('outgoing_reject', resolve))
+      yield this.pluginB.rejectIncomingTransfer(this.id, rejectionMessage)
+      assert.equal((yield rejected).id, this.id)
+    })
+
+    it('should get the fulfillment of a transfer after a restart', function * () {
+      const fulfilled = new Promise(resolve =>
+        this.pluginA.once('outgoing_fulfill', resolve))
+      yield this.pluginB.fulfillCondition(this.id, this.condition.fulfillment)
+      yield fulfilled
+
+      yield * this.restart('pluginA')
+      yield * this.restart('pluginB')
+
+      assert.equal(yield this.pluginA.getFulfillment(this.id), this.condition.fulfillment)
+      assert.equal(yield this.pluginB.getFulfillment(this.id), this.condition.fulfillment)
+    })
+
+    itIf('store', 'should keep its state in the store', function * () {
+      const stores = this.options.map((options) => options._store)
+      assert.isOk(stores.some((store) => store.written.some((entry) => mentions(entry, this.id))),
+        'a plugin should have written the prepared transfer to its store')
+
+      const fulfilled = new Promise(resolve =>
+        this.pluginA.once('outgoing_fulfill', resolve))
+      yield this.pluginB.fulfillCondition(this.id, this.condition.fulfillment)
+      yield fulfilled
+
+      // what the old instances wrote, which the new ones should read back
+      const before = stores.map((store) => store.written.map((entry) => entry.key))
+      stores.forEach((store) => store.read.splice(0))
+      yield * this.restart('pluginA')
+      yield * this.restart('pluginB')
+
+      assert.equal(yield this.pluginA.getFulfillment(this.id), this.condition.fulfillment)
+      assert.equal(yield this.pluginB.getFulfillment(this.id), this.condition.fulfillment)
+      assert.isOk(stores.some((store, i) => store.read.some((key) => before[i].indexOf(key) !== -1)),
+        'a restarted plugin should have read back what it stored')
+    })
+  })
+
+  describe('getBalance', function () {
+    it('should return the same balance after a restart', function * () {
+      const before = yield Promise.all([ this.pluginA.getBalance(), this.pluginB.getBalance() ])
+      yield * this.restart('pluginA')
+      yield * this.restart('pluginB')
+      const after = yield Promise.all([ this.pluginA.getBalance(), this.pluginB.getBalance() ])
+
+      assert.deepEqual(after, before)
+    })
+  })
+
+  describe('sendTransfer', function () {
+    itFor([ 1 ], 'should reject a repeated id with different fields after a restart', function * () {
+      const transfer = toB()
+      yield this.pluginA.sendTransfer(transfer)
+
+      yield * this.restart('pluginA')
+
+      yield this.pluginA.sendTransfer(Object.assign({}, transfer, { amount: '2' }))
+        .then(() => {
+          assert(false, 'transfer with a repeated id should have been rejected')
+        })
+        .catch((e) => {
+          assertError(e, 'DuplicateIdError')
+        })
+    })
+  })
+})
@@ -0,0 +1,140 @@
+'use strict'
+
+const assert = require('chai').assert
+const testPlugin = require('../src/config').getConfig()
+const events = require('./helpers/events')
+const capabilities = require('./helpers/capabilities')
+const itIf = capabilities.itIf
+const versions = require('../src/versions')
+const transfers = require('./helpers/transfers')
+
+const Plugin = events.watch(testPlugin.plugin)
+
+const opts = testPlugin.options[0].pluginOptions
+const timeout = testPlugin.timeout
+const toB = transfers.transferBuilder(0)
+const implemented = versions.detectVersions(testPlugin).versions
+
+// methods that every plugin has, and those that only plugins for one version
+// of the interface, or with one capability, have
+const METHODS = [
+  'connect', 'disconnect', 'isConnected', 'getInfo', 'getAccount',
+  'getBalance', 'sendTransfer'
+]
+const VERSION_METHODS = {
+  1: [ 'fulfillCondition', 'rejectIncomingTransfer', 'getFulfillment', 'sendMessage' ],
+  2: [
+    'sendRequest', 'registerRequestHandler', 'deregisterRequestHandler',
+    'registerTransferHandler', 'deregisterTransferHandler'
+  ]
+}
+const CAPABILITY_METHODS = {
+  universal: [ 'fulfillCondition', 'rejectIncomingTransfer', 'getFulfillment' ],
+  messaging: [ 'sendMessage' ]
+}
+const EMITTER_METHODS = [ 'on', 'once', 'emit', 'removeListener' ]
+// besides isConnected, methods which return their result rather than a
+// promise for it
+const SYNCHRONOUS_METHODS = [ 'getInfo', 'getAccount' ]
+
+const isThenable = (value) => {
+  return !!value && (typeof value === 'object' || typeof value === 'function') &&
+    typeof value.then === 'function'
+}
+
+// the methods that this plugin should have
+const requiredMethods = () => {
+  const methods = METHODS.slice()
+  implemented.forEach((version) => {
+    VERSION_METHODS[version].forEach((method) => {
+      const needs = Object.keys(CAPABILITY_METHODS)
+        .filter((name) => CAPABILITY_METHODS[name].indexOf(method) !== -1)
+      if (needs.every((name) => capabilities.supports(name))) methods.push(method)
+    })
+  })
+  return methods
+}
+
+// call a method which has to return a promise, and wait for it to settle. It
+// may reject, since the plugin isn't connected, but it may not throw.
+function * assertPromise (plugin, method, args) {
+  let result
+  try {
+    result = plugin[method].apply(plugin, args)
+  } catch (e) {
+    assert(false, method + ' should return a promise, but threw ' + e.name +
+      ': ' + e.message)
+  }
+
+  assert.isOk(isThenable(result), method + ' should return a promise, got ' + result)
+  yield Promise.resolve(result).catch(() => null)
+}
+
+// these checks don't need a ledger, so that plugin authors get feedback on
+// the shape of their plugin before anything else is tested
+describe('Plugin shape', function () {
+  describe('prototype', function () {
+    it('should have every method of the interface', function () {
+      const missing = requiredMethods().filter((method) => {
+        return typeof testPlugin.plugin.prototype[method] !== 'function'
+      })
+
+      assert.deepEqual(missing, [], 'the plugin implements version ' +
+        implemented.join(', ') + ' of the interface, but has no ' + missing.join(', '))
+    })
+  })
+
+  describe('instance', function () {
+    beforeEach(function () {
+      this.plugin = new Plugin(opts)
+    })
+
+    afterEach(function * () {
+      if (this.plugin.isConnected()) yield this.plugin.disconnect()
+    })
+
+    it('should be an EventEmitter', function () {
+      EMITTER_METHODS.forEach((method) => {
+        assert.isFunction(this.plugin[method], 'the plugin should be an EventEmitter, ' +
+          'with ' + method)
+      })
+    })
+
+    // made with the config's unreachable options, so that it can't reach a
+    // ledger either. The connect suite checks a connect that succeeds.
+    itIf('unreachable', 'should return a promise from connect', function * () {
+      const unreachable = testPlugin.unreachable[Object.keys(testPlugin.unreachable)[0]]
+      this.plugin = new Plugin(unreachable)
+
+      yield * assertPromise(this.plugin, 'connect', [ { timeout } ])
+    })
+
+    it('should return a promise from disconnect', function * () {
+      yield * assertPromise(this.plugin, 'disconnect', [])
+    })
+
+    it('should return a promise from sendTransfer', function * () {
+      yield * assertPromise(this.plugin, 'sendTransfer', [ toB() ])
+    })
+
+    it('should return a promise from getBalance', function * () {
+      yield * assertPromise(this.plugin, 'getBalance', [])
+    })
+
+    it('should return synchronously from getInfo, getAccount and isConnected', function () {
+      SYNCHRONOUS_METHODS.concat('isConnected').forEach((method) => {
+        let result
+        try {
+          result = this.plugin[method]()
+        } catch (e) {
+          assert(false, method + ' should return before connect, but threw ' +
+            e.name + ': ' + e.message)
+        }
+        assert.isNotOk(isThenable(result), method + ' should not return a promise')
+      })
+
+      assert.strictEqual(this.plugin.isConnected(), false,
+        'isConnected should return false before connect')
+    })
+  })
+})
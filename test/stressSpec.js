@@ -0,0 +1,169 @@
+'use strict'
+
+const assert = require('chai').assert
+const testPlugin = require('../src/config').getConfig()
+const events = require('./helpers/events')
+const capabilities = require('./helpers/capabilities')
+const describeIf = capabilities.describeIf
+const itIf = capabilities.itIf
+const BigNumber = require('bignumber.js')
+const makeCondition = require('./helpers/conditions').makeCondition
+const transfers = require('./helpers/transfers')
+const rejectionMessage = transfers.rejectionMessage
+const makeExpiry = transfers.makeExpiry
+const uuid = require('uuid4')
+
+const Plugin = events.watch(testPlugin.plugin)
+
+const optsA = testPlugin.options[0].pluginOptions
+const optsB = testPlugin.options[1].pluginOptions
+const transferA = testPlugin.options[0].transfer
+const timeout = testPlugin.timeout
+// how many transfers to send at once
+const count = (testPlugin.stress && testPlugin.stress.transfers) || 20
+const amount = '1'
+const EVENTS = [ 'transfer', 'prepare', 'fulfill', 'reject', 'cancel' ]
+
+// the events that each kind of transfer should cause, exactly once each
+const EXPECTED = {
+  optimistic: [ 'outgoing_transfer', 'incoming_transfer' ],
+  fulfill: [ 'outgoing_prepare', 'incoming_prepare', 'outgoing_fulfill', 'incoming_fulfill' ],
+  reject: [ 'outgoing_prepare', 'incoming_prepare', 'outgoing_reject', 'incoming_reject' ]
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+// count how many times each transfer event is emitted for each transfer id.
+// Events for transfers from earlier tests, such as expiries, are counted too
+// but not checked.
+const countEvents = (plugin, direction, counts) => {
+  EVENTS.forEach((event) => {
+    const name = direction + '_' + event
+    plugin.on(name, (transfer) => {
+      const forId = counts[transfer.id] = counts[transfer.id] || {}
+      forId[name] = (forId[name] || 0) + 1
+    })
+  })
+}
+
+/**
+ * Send one transfer of each kind in `kinds` ("optimistic", "fulfill" or
+ * "reject") from A to B, all at once. B fulfills or rejects the conditional
+ * ones as soon as they are prepared. Then check that every transfer caused
+ * exactly the events it should have, and that the balances add up.
+ */
+function * sendConcurrently (kinds) {
+  // on top of sending, this waits for the transfers to go through, and for
+  // any duplicate events
+  this.timeout(this.timeout() + timeout * 4)
+
+  const ids = kinds.map(() => uuid())
+  const kindOf = {}
+  const conditionOf = {}
+  ids.forEach((id, i) => {
+    kindOf[id] = kinds[i]
+    conditionOf[id] = makeCondition()
+  })
+
+  const counts = {}
+  countEvents(this.pluginA, 'outgoing', counts)
+  countEvents(this.pluginB, 'incoming', counts)
+
+  const errors = []
+  this.pluginB.on('incoming_prepare', (transfer) => {
+    const result = (kindOf[transfer.id] === 'fulfill')
+      ? this.pluginB.fulfillCondition(transfer.id, conditionOf[transfer.id].fulfillment)
+      : this.pluginB.rejectIncomingTransfer(transfer.id, rejectionMessage)
+    result.catch((e) => errors.push(e))
+  })
+
+  const before = yield this.getBalances()
+
+  yield Promise.all(ids.map((id) => {
+    const transfer = { id: id, amount: amount }
+    if (kindOf[id] !== 'optimistic') {
+      transfer.executionCondition = conditionOf[id].condition
+      transfer.expiresAt = makeExpiry(timeout * 2)
+    }
+
+    return this.pluginA.sendTransfer(Object.assign(transfer, transferA))
+  }))
+
+  // wait for the last event of every transfer (but no longer than they take
+  // to expire), then give duplicate events some time to show up
+  const deadline = Date.now() + timeout * 2
+  const isDone = (id) => EXPECTED[kindOf[id]].every((name) => counts[id] && counts[id][name])
+  while (!ids.every(isDone) && !errors.length && Date.now() < deadline) {
+    yield wait(10)
+  }
+  yield wait(timeout)
+
+  if (errors.length) throw errors[0]
+
+  ids.forEach((id) => {
+    const expected = {}
+    EXPECTED[kindOf[id]].forEach((name) => { expected[name] = 1 })
+    assert.deepEqual(counts[id], expected,
+      'events for ' + kindOf[id] + ' transfer ' + id)
+  })
+
+  const executed = kinds.filter((kind) => kind !== 'reject').length
+  const total = new BigNumber(amount).times(executed)
+  const after = yield this.getBalances()
+  assert.isTrue(new BigNumber(after[0]).minus(before[0]).equals(total.neg()),
+    'sender balance should go down by ' + total.toString())
+  assert.isTrue(new BigNumber(after[1]).minus(before[1]).equals(total),
+    'receiver balance should go up by ' + total.toString())
+}
+
+describe('Plugin concurrent transfers', function () {
+  beforeEach(function * () {
+    this.pluginA = new Plugin(optsA)
+    this.pluginB = new Plugin(optsB)
+
+    const pA = new Promise(resolve => this.pluginA.once('connect', resolve))
+    yield this.pluginA.connect({ timeout })
+    yield pA
+
+    const pB = new Promise(resolve => this.pluginB.once('connect', resolve))
+    yield this.pluginB.connect({ timeout })
+    yield pB
+
+    assert.isTrue(this.pluginA.isConnected())
+    assert.isTrue(this.pluginB.isConnected())
+
+    this.getBalances = () => {
+      return Promise.all([ this.pluginA.getBalance(), this.pluginB.getBalance() ])
+    }
+  })
+
+  afterEach(function * () {
+    if (this.pluginA.isConnected()) yield this.pluginA.disconnect()
+    if (this.pluginB.isConnected()) yield this.pluginB.disconnect()
+  })
+
+  describe('sendTransfer', function () {
+    itIf('optimistic', 'should send optimistic transfers concurrently', function * () {
+      const kinds = []
+      for (let i = 0; i < count; i++) kinds.push('optimistic')
+
+      yield * sendConcurrently.call(this, kinds)
+    })
+
+    describeIf('universal', 'with conditions', function () {
+      it('should send transfers concurrently, fulfilling some and rejecting others', function * () {
+        const kinds = []
+        for (let i = 0; i < count; i++) kinds.push(i % 2 ? 'reject' : 'fulfill')
+
+        yield * sendConcurrently.call(this, kinds)
+      })
+
+      itIf('optimistic', 'should send optimistic and conditional transfers concurrently', function * () {
+        const kinds = []
+        for (let i = 0; i < count; i++) kinds.push([ 'optimistic', 'fulfill', 'reject' ][i % 3])
+
+        yield * sendConcurrently.call(this, kinds)
+      })
+    })
+  })
+})
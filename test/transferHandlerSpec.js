@@ -0,0 +1,158 @@
+'use strict'
+
+const assert = require('chai').assert
+const testPlugin = require('../src/config').getConfig()
+const events = require('./helpers/events')
+const describeIf = require('./helpers/capabilities').describeIf
+const makeCondition = require('./helpers/conditions').makeCondition
+const useClock = require('./helpers/clock').useClock
+const errorHelpers = require('./helpers/errors')
+const transfers = require('./helpers/transfers')
+const makeExpiry = transfers.makeExpiry
+const assertRejected = errorHelpers.assertRejected
+const assertThrows = errorHelpers.assertThrows
+const sinon = require('sinon')
+const uuid = require('uuid4')
+
+const Plugin = events.watch(testPlugin.plugin)
+
+const optsA = testPlugin.options[0].pluginOptions
+const optsB = testPlugin.options[1].pluginOptions
+const transferA = testPlugin.options[0].transfer
+const timeout = testPlugin.timeout
+
+// the sender gets the result of a transfer from `sendTransfer`: it resolves
+// to the fulfillment that the receiver's handler gave, or rejects if the
+// handler failed
+describeIf('transferHandlers', 'Plugin transfer handlers', function () {
+  beforeEach(function * () {
+    // give plenty of time more than the expiry
+    this.currentTest.timeout(this.currentTest.timeout() + timeout * 2)
+
+    this.pluginA = new Plugin(optsA)
+    this.pluginB = new Plugin(optsB)
+
+    const pA = new Promise(resolve => this.pluginA.once('connect', resolve))
+    yield this.pluginA.connect({ timeout })
+    yield pA
+
+    const pB = new Promise(resolve => this.pluginB.once('connect', resolve))
+    yield this.pluginB.connect({ timeout })
+    yield pB
+
+    assert.isTrue(this.pluginA.isConnected())
+    assert.isTrue(this.pluginB.isConnected())
+
+    // a conditional transfer from A to B, with the preimage of its condition
+    this.makeConditional = (expiresAt) => {
+      const condition = makeCondition()
+      return {
+        fulfillment: condition.fulfillment,
+        transfer: Object.assign({
+          id: uuid(),
+          amount: '1',
+          executionCondition: condition.condition,
+          expiresAt: expiresAt || makeExpiry(timeout)
+        }, transferA)
+      }
+    }
+  })
+
+  afterEach(function * () {
+    if (this.pluginA.isConnected()) yield this.pluginA.disconnect()
+    if (this.pluginB.isConnected()) yield this.pluginB.disconnect()
+  })
+
+  describe('registerTransferHandler', function () {
+    it('should be a function', function () {
+      assert.isFunction(this.pluginB.registerTransferHandler)
+      assert.isFunction(this.pluginB.deregisterTransferHandler)
+    })
+
+    it('should call the handler with an incoming transfer', function * () {
+      const pair = this.makeConditional()
+      let incoming = null
+      this.pluginB.registerTransferHandler((transfer) => {
+        incoming = transfer
+        return Promise.resolve({ fulfillment: pair.fulfillment })
+      })
+
+      yield this.pluginA.sendTransfer(pair.transfer)
+
+      assert.isOk(incoming, 'the handler should have been called')
+      assert.equal(incoming.amount, pair.transfer.amount)
+      assert.equal(incoming.executionCondition, pair.transfer.executionCondition)
+      assert.equal(Date.parse(incoming.expiresAt), Date.parse(pair.transfer.expiresAt))
+    })
+
+    it('should throw if a handler is already registered', function () {
+      this.pluginB.registerTransferHandler(() => Promise.resolve())
+
+      assertThrows(() => {
+        this.pluginB.registerTransferHandler(() => Promise.resolve())
+      }, 'TransferHandlerAlreadyRegisteredError', 'registering a second handler')
+    })
+
+    it('should resolve sendTransfer to the fulfillment from the handler', function * () {
+      const pair = this.makeConditional()
+      this.pluginB.registerTransferHandler(() => {
+        return Promise.resolve({ fulfillment: pair.fulfillment })
+      })
+
+      const result = yield this.pluginA.sendTransfer(pair.transfer)
+      assert.isObject(result, 'sendTransfer should resolve to the fulfillment info')
+      assert.equal(result.fulfillment, pair.fulfillment)
+    })
+
+    it('should reject sendTransfer when the handler throws', function * () {
+      const pair = this.makeConditional()
+      this.pluginB.registerTransferHandler(() => {
+        throw new Error('the handler failed')
+      })
+
+      yield * assertRejected(this.pluginA.sendTransfer(pair.transfer),
+        null, 'sending a transfer that the handler failed on')
+    })
+
+    it('should reject sendTransfer when the handler gives the wrong fulfillment', function * () {
+      const pair = this.makeConditional()
+      this.pluginB.registerTransferHandler(() => {
+        return Promise.resolve({ fulfillment: makeCondition().fulfillment })
+      })
+
+      yield * assertRejected(this.pluginA.sendTransfer(pair.transfer),
+        null, 'sending a transfer that the handler gave the wrong fulfillment for')
+    })
+  })
+
+  describe('deregisterTransferHandler', function () {
+    it('should stop calling the handler', function * () {
+      const handlerStub = sinon.stub().returns(Promise.resolve())
+      this.pluginB.registerTransferHandler(handlerStub)
+      this.pluginB.deregisterTransferHandler()
+
+      // without a handler, the transfer may be rejected or stay prepared until
+      // it expires; either way sendTransfer settles by then
+      const clock = useClock()
+      const pair = this.makeConditional(clock.makeExpiry(timeout))
+      const sent = this.pluginA.sendTransfer(pair.transfer).catch(() => null)
+      yield clock.advance(timeout + 1)
+      yield sent
+
+      sinon.assert.notCalled(handlerStub)
+    })
+
+    it('should let a new handler be registered', function * () {
+      this.pluginB.registerTransferHandler(() => Promise.resolve())
+      this.pluginB.deregisterTransferHandler()
+
+      const pair = this.makeConditional()
+      const handlerStub = sinon.stub().returns(Promise.resolve({ fulfillment: pair.fulfillment }))
+      this.pluginB.registerTransferHandler(handlerStub)
+
+      const result = yield this.pluginA.sendTransfer(pair.transfer)
+      sinon.assert.calledOnce(handlerStub)
+      assert.equal(result.fulfillment, pair.fulfillment)
+    })
+  })
+})
@@ -1,10 +1,13 @@
 'use strict'
 
 const assert = require('chai').assert
-const testPlugin = require('..')
+const testPlugin = require('../src/config').getConfig()
+const events = require('./helpers/events')
+const describeIf = require('./helpers/capabilities').describeIf
+const assertError = require('./helpers/errors').assertError
 const uuid = require('uuid4')
 
-const Plugin = testPlugin.plugin
+const Plugin = events.watch(testPlugin.plugin)
 
 const optsA = testPlugin.options[0].pluginOptions
 const optsB = testPlugin.options[1].pluginOptions
@@ -12,7 +15,7 @@ const transferA = testPlugin.options[0].transfer
 const transferB = testPlugin.options[1].transfer
 const timeout = testPlugin.timeout
 
-describe('Plugin transfers (optimistic)', function () {
+describeIf('optimistic', 'Plugin transfers (optimistic)', function () {
   beforeEach(function * () {
     // give plenty of time more than the expiry
     this.timeout += timeout * 2
@@ -132,7 +135,7 @@ describe('Plugin transfers (optimistic)', function () {
             assert(false)
           })
           .catch((e) => {
-            assert.equal(e.name, 'DuplicateIdError')
+            assertError(e, 'DuplicateIdError')
             done()
           })
           .catch(done)
@@ -150,8 +153,10 @@ describe('Plugin transfers (optimistic)', function () {
       this.pluginA.sendTransfer(Object.assign({
         id: id,
         amount: '0'
-      }, transferA)).catch((e) => {
-        assert.equal(e.name, 'InvalidFieldsError')
+      }, transferA)).then(() => {
+        assert(false, 'transfer with amount 0 should have been rejected')
+      }).catch((e) => {
+        assertError(e, 'InvalidFieldsError', 'transfer with amount 0')
         done()
       }).catch(done)
     })
@@ -162,8 +167,10 @@ describe('Plugin transfers (optimistic)', function () {
       this.pluginA.sendTransfer(Object.assign({
         id: id,
         amount: '-1'
-      }, transferA)).catch((e) => {
-        assert.equal(e.name, 'InvalidFieldsError')
+      }, transferA)).then(() => {
+        assert(false, 'transfer with amount -1 should have been rejected')
+      }).catch((e) => {
+        assertError(e, 'InvalidFieldsError', 'transfer with amount -1')
         done()
       }).catch(done)
     })
@@ -176,8 +183,10 @@ describe('Plugin transfers (optimistic)', function () {
         amount: '1'
       }, transferA, {
         account: undefined
-      })).catch((e) => {
-        assert.equal(e.name, 'InvalidFieldsError')
+      })).then(() => {
+        assert(false, 'transfer without `account` should have been rejected')
+      }).catch((e) => {
+        assertError(e, 'InvalidFieldsError', 'transfer without `account`')
         done()
       }).catch(done)
     })
@@ -185,10 +194,10 @@ describe('Plugin transfers (optimistic)', function () {
     it('should reject a transfer missing `id`', function (done) {
       this.pluginA.sendTransfer(Object.assign({
         amount: '1'
-      }, transferA, {
-        account: undefined
-      })).catch((e) => {
-        assert.equal(e.name, 'InvalidFieldsError')
+      }, transferA)).then(() => {
+        assert(false, 'transfer without `id` should have been rejected')
+      }).catch((e) => {
+        assertError(e, 'InvalidFieldsError', 'transfer without `id`')
         done()
       }).catch(done)
     })
@@ -200,8 +209,11 @@ describe('Plugin transfers (optimistic)', function () {
         id: id,
         amount: undefined
       }, transferA))
+        .then(() => {
+          assert(false, 'transfer without `amount` should have been rejected')
+        })
         .catch((e) => {
-          assert.equal(e.name, 'InvalidFieldsError')
+          assertError(e, 'InvalidFieldsError', 'transfer without `amount`')
           done()
         }).catch(done)
     })
@@ -213,7 +225,11 @@ describe('Plugin transfers (optimistic)', function () {
         id: id,
         amount: 'garbage'
       }, transferA))
+        .then(() => {
+          assert(false, 'transfer with amount "garbage" should have been rejected')
+        })
         .catch((e) => {
+          assertError(e, 'InvalidFieldsError', 'transfer with amount "garbage"')
           done()
         }).catch(done)
     })
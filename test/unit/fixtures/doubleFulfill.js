@@ -0,0 +1,23 @@
+'use strict'
+/*
+ * The reference config, with a plugin that emits every outgoing_fulfill
+ * twice.
+ */
+
+const ReferencePlugin = require('../../../src/reference/plugin')
+
+class DoubleFulfillPlugin extends ReferencePlugin {
+  constructor (opts) {
+    super(opts)
+
+    const handleNotification = this._handleNotification
+    this._handleNotification = (name, event, args) => {
+      handleNotification(name, event, args)
+      if (event === 'outgoing_fulfill') handleNotification(name, event, args)
+    }
+  }
+}
+
+module.exports = Object.assign({}, require('../../../configs/reference'), {
+  plugin: DoubleFulfillPlugin
+})
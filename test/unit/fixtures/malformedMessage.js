@@ -0,0 +1,27 @@
+'use strict'
+/*
+ * The reference config, with a plugin that emits every incoming_message a
+ * second time without its ledger.
+ */
+
+const ReferencePlugin = require('../../../src/reference/plugin')
+
+class MalformedMessagePlugin extends ReferencePlugin {
+  constructor (opts) {
+    super(opts)
+
+    const handleNotification = this._handleNotification
+    this._handleNotification = (name, event, args) => {
+      handleNotification(name, event, args)
+      if (event === 'incoming_message') {
+        const message = Object.assign({}, args[0])
+        delete message.ledger
+        handleNotification(name, event, [ message ])
+      }
+    }
+  }
+}
+
+module.exports = Object.assign({}, require('../../../configs/reference'), {
+  plugin: MalformedMessagePlugin
+})
@@ -0,0 +1,87 @@
+'use strict'
+
+const EventEmitter = require('events')
+const assert = require('chai').assert
+const LifecycleChecker = require('../../src/lifecycle')
+const validateEvent = require('../../src/schemas').validateEvent
+
+const transfer = { id: 'b0a4de2c-7a5e-4c9a-a7f2-6d1c33cb4e0b' }
+
+describe('LifecycleChecker', function () {
+  beforeEach(function () {
+    this.violations = []
+    this.checker = new LifecycleChecker((error) => this.violations.push(error))
+    this.plugin = new EventEmitter()
+    this.checker.watch(this.plugin)
+    this.plugin.emit('connect')
+  })
+
+  it('should allow a prepared transfer to be fulfilled once', function () {
+    this.plugin.emit('outgoing_prepare', transfer)
+    this.plugin.emit('outgoing_fulfill', transfer)
+    assert.deepEqual(this.violations, [])
+  })
+
+  it('should report a transfer that is fulfilled twice', function () {
+    this.plugin.emit('outgoing_prepare', transfer)
+    this.plugin.emit('outgoing_fulfill', transfer)
+    this.plugin.emit('outgoing_fulfill', transfer)
+
+    assert.lengthOf(this.violations, 1)
+    assert.equal(this.violations[0].name, 'LifecycleError')
+    assert.include(this.violations[0].message, 'illegal event: plugin emitted ' +
+      '"outgoing_fulfill" for transfer ' + transfer.id + ', but it was already fulfilled')
+  })
+
+  it('should report an optimistic transfer that is fulfilled', function () {
+    this.plugin.emit('incoming_transfer', transfer)
+    this.plugin.emit('incoming_fulfill', transfer)
+
+    assert.lengthOf(this.violations, 1)
+    assert.include(this.violations[0].message, 'but it is an optimistic transfer')
+  })
+
+  it('should report an instance that disagrees with another about the outcome', function () {
+    const other = new EventEmitter()
+    this.checker.watch(other)
+    other.emit('connect')
+
+    this.plugin.emit('incoming_prepare', transfer)
+    this.plugin.emit('incoming_fulfill', transfer)
+    other.emit('incoming_reject', transfer)
+
+    assert.lengthOf(this.violations, 1)
+    assert.include(this.violations[0].message, 'but another instance saw it fulfilled')
+  })
+
+  it('should report an event emitted while disconnected', function () {
+    this.plugin.emit('disconnect')
+    this.plugin.emit('incoming_prepare', transfer)
+
+    assert.lengthOf(this.violations, 1)
+    assert.include(this.violations[0].message,
+      'illegal event: plugin emitted "incoming_prepare" while disconnected')
+  })
+})
+
+describe('validateEvent', function () {
+  const message = {
+    ledger: 'example.red.',
+    from: 'example.red.alice',
+    to: 'example.red.bob',
+    data: { foo: 'bar' }
+  }
+
+  it('should accept a valid incoming_message', function () {
+    assert.deepEqual(validateEvent('incoming_message', [ message ]), [])
+  })
+
+  it('should report an incoming_message without a ledger', function () {
+    const malformed = Object.assign({}, message)
+    delete malformed.ledger
+
+    assert.deepEqual(validateEvent('incoming_message', [ malformed ]), [
+      'incoming_message message should have required property \'ledger\''
+    ])
+  })
+})
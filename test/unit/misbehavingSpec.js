@@ -0,0 +1,73 @@
+'use strict'
+
+const childProcess = require('child_process')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const assert = require('chai').assert
+
+const BIN = path.resolve(__dirname, '../../bin/ilp-plugin-tests.js')
+const FIXTURES = path.resolve(__dirname, 'fixtures')
+
+/**
+ * Run one test of the suite with the command line tool, against the config in
+ * ./fixtures/`fixture`. It runs in a process of its own, since a run changes
+ * the config and the mocha globals of the process it is in. Resolves to the
+ * exit code and the conformance report.
+ */
+const runFixture = (fixture, suite, grep) => {
+  const report = path.join(os.tmpdir(), 'ilp-plugin-tests-' + process.pid +
+    '-' + fixture + '.json')
+  const args = [ BIN, '--config', path.join(FIXTURES, fixture + '.js'),
+    '--only', suite, '--grep', grep, '--reporter', 'dot', '--report', report ]
+
+  return new Promise((resolve, reject) => {
+    childProcess.execFile(process.execPath, args, { timeout: 30000 }, (error, stdout) => {
+      if (!fs.existsSync(report)) {
+        reject(new Error('the run wrote no report: ' + (error ? error.message : stdout)))
+        return
+      }
+
+      const result = {
+        code: error ? error.code : 0,
+        report: JSON.parse(fs.readFileSync(report, 'utf8'))
+      }
+      fs.unlinkSync(report)
+      resolve(result)
+    })
+  })
+}
+
+const findRequirement = (report, test) => {
+  return report.requirements.find((requirement) => requirement.test === test)
+}
+
+describe('A misbehaving plugin', function () {
+  it('should fail a test in which it emits outgoing_fulfill twice', function * () {
+    const test = 'Plugin transfers (universal) fulfillCondition ' +
+      'should fulfill transfer with condition and expiry'
+    const result = yield runFixture('doubleFulfill', 'conditions',
+      'should fulfill transfer with condition and expiry')
+    const requirement = findRequirement(result.report, test)
+
+    assert.equal(result.code, 1)
+    assert.isFalse(result.report.summary.conformant)
+    assert.equal(requirement.status, 'failed')
+    assert.include(requirement.error, 'LifecycleError: illegal event: plugin ' +
+      'emitted "outgoing_fulfill" for transfer')
+    assert.include(requirement.error, 'but it was already fulfilled')
+  })
+
+  it('should fail a test in which it emits a malformed incoming_message', function * () {
+    const test = 'Plugin messaging sendMessage should send a simple message'
+    const result = yield runFixture('malformedMessage', 'messages',
+      'should send a simple message')
+    const requirement = findRequirement(result.report, test)
+
+    assert.equal(result.code, 1)
+    assert.isFalse(result.report.summary.conformant)
+    assert.equal(requirement.status, 'failed')
+    assert.equal(requirement.error, 'SchemaError: invalid payload: ' +
+      'incoming_message message should have required property \'ledger\'')
+  })
+})
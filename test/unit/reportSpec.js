@@ -0,0 +1,110 @@
+'use strict'
+
+const assert = require('chai').assert
+const buildReport = require('../../src/report')
+const REQUIREMENTS = require('../../src/requirements').REQUIREMENTS
+const reference = require('../../configs/reference')
+
+// the reference plugin, declared not to support messaging
+const config = Object.assign({}, reference, { capabilities: { messaging: false } })
+
+const findStatus = (report, id) => {
+  return report.requirements.find((requirement) => requirement.id === id).status
+}
+
+// a result in which every test that applies to `config` ran and passed
+const makeResult = () => {
+  const applicable = buildReport({ tests: [] }, config).requirements
+    .filter((requirement) => requirement.status !== 'not-applicable')
+  return {
+    tests: applicable.map((requirement) => ({
+      title: requirement.test,
+      fullTitle: requirement.test,
+      type: 'test',
+      state: 'passed',
+      duration: 1,
+      error: null
+    }))
+  }
+}
+
+describe('buildReport', function () {
+  it('should list every requirement', function () {
+    const report = buildReport(makeResult(), config)
+    assert.deepEqual(report.requirements.map((r) => r.id), REQUIREMENTS.map((r) => r.id))
+  })
+
+  it('should find a plugin conformant if everything that applies passed', function () {
+    const report = buildReport(makeResult(), config)
+
+    assert.isTrue(report.summary.conformant)
+    assert.equal(report.summary.required.failed, 0)
+    assert.deepEqual(report.unmapped, [])
+    assert.deepEqual(report.hookFailures, [])
+  })
+
+  it('should not apply requirements for an unsupported capability', function () {
+    const report = buildReport(makeResult(), config)
+
+    assert.equal(findStatus(report, 'MSG-01'), 'not-applicable')
+    assert.equal(findStatus(report, 'UNSUP-03'), 'passed')
+    assert.equal(report.capabilities.messaging, false)
+  })
+
+  it('should fail a plugin with a failed requirement', function () {
+    const result = makeResult()
+    result.tests[0].state = 'failed'
+    result.tests[0].error = new Error('illegal event: plugin emitted "connect" twice')
+    const report = buildReport(result, config)
+
+    assert.isFalse(report.summary.conformant)
+    assert.equal(report.summary.required.failed, 1)
+    assert.deepEqual(report.requirements[0], {
+      id: 'MOD-01',
+      level: 'required',
+      section: 'Class: LedgerPlugin',
+      test: 'Plugin module should be a constructor',
+      status: 'failed',
+      error: 'illegal event: plugin emitted "connect" twice'
+    })
+  })
+
+  it('should fail a plugin with a requirement that did not run', function () {
+    const result = makeResult()
+    result.tests.shift()
+    const report = buildReport(result, config)
+
+    assert.isFalse(report.summary.conformant)
+    assert.equal(report.summary.required.notRun, 1)
+    assert.equal(findStatus(report, 'MOD-01'), 'not-run')
+  })
+
+  it('should fail a plugin with a failed hook', function () {
+    const result = makeResult()
+    result.tests.push({
+      title: '"before each" hook',
+      fullTitle: 'Plugin messaging "before each" hook',
+      type: 'hook',
+      state: 'failed',
+      error: new Error('could not connect')
+    })
+    const report = buildReport(result, config)
+
+    assert.isFalse(report.summary.conformant)
+    assert.deepEqual(report.hookFailures, [{
+      hook: 'Plugin messaging "before each" hook',
+      error: 'could not connect'
+    }])
+  })
+
+  it('should list tests that are missing from the requirements', function () {
+    const result = makeResult()
+    result.tests.push(Object.assign({}, result.tests[0], {
+      title: 'should do something new',
+      fullTitle: 'Plugin module should do something new'
+    }))
+
+    assert.deepEqual(buildReport(result, config).unmapped,
+      [ 'Plugin module should do something new' ])
+  })
+})
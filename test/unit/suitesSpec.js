@@ -0,0 +1,39 @@
+'use strict'
+
+const path = require('path')
+const assert = require('chai').assert
+const suites = require('../../src/suites')
+
+const file = (name) => path.join(suites.SPEC_DIR, suites.SUITES[name])
+
+describe('specFiles', function () {
+  it('should give every suite if no names are given', function () {
+    assert.deepEqual(suites.specFiles(),
+      Object.keys(suites.SUITES).map(file))
+  })
+
+  it('should give the suites asked for in the order that they run in', function () {
+    assert.deepEqual(suites.specFiles([ 'balances', 'index', 'connect' ]),
+      [ file('index'), file('connect'), file('balances') ])
+  })
+
+  it('should throw on an unknown suite', function () {
+    assert.throws(() => suites.specFiles([ 'connect', 'teleport' ]),
+      /^unknown suite\(s\): teleport\. Valid suites are: index, shape, /)
+  })
+
+  it('should leave out suites for other versions of the interface', function () {
+    const files = suites.specFiles(null, [ 2 ])
+
+    assert.include(files, file('requests'))
+    assert.include(files, file('connect'))
+    assert.notInclude(files, file('messages'))
+    assert.notInclude(files, file('conditions'))
+  })
+
+  it('should throw on a suite for another version asked for by name', function () {
+    assert.throws(() => suites.specFiles([ 'connect', 'messages' ], [ 2 ]),
+      'suite(s) for another version of the interface: messages (version 1). ' +
+      'The plugin implements version 2')
+  })
+})
@@ -0,0 +1,117 @@
+'use strict'
+
+const assert = require('chai').assert
+const validateConfig = require('../../src/validateConfig')
+
+// the smallest config that is valid
+const makeConfig = () => ({
+  plugin: function Plugin () {},
+  timeout: 200,
+  options: [
+    { pluginOptions: { account: 'alice' }, transfer: { account: 'example.bob' } },
+    { pluginOptions: { account: 'bob' }, transfer: { account: 'example.alice' } }
+  ]
+})
+
+describe('validateConfig', function () {
+  it('should find no problems with a valid config', function () {
+    assert.deepEqual(validateConfig(makeConfig()), [])
+  })
+
+  it('should find no problems with the reference config', function () {
+    assert.deepEqual(validateConfig(require('../../configs/reference')), [])
+  })
+
+  it('should only report that a config which is not an object must be one', function () {
+    assert.deepEqual(validateConfig(null), [
+      { path: 'config', message: 'must be an object' }
+    ])
+  })
+
+  it('should report every missing field', function () {
+    assert.deepEqual(validateConfig({}), [
+      { path: 'plugin', message: 'must be the plugin constructor' },
+      { path: 'timeout', message: 'must be a positive number of milliseconds, got undefined' },
+      { path: 'options', message: 'must be an array' }
+    ])
+  })
+
+  it('should report a timeout that is not positive', function () {
+    const config = Object.assign(makeConfig(), { timeout: 0 })
+    assert.deepEqual(validateConfig(config), [
+      { path: 'timeout', message: 'must be a positive number of milliseconds, got 0' }
+    ])
+  })
+
+  it('should report fewer than two options', function () {
+    const config = makeConfig()
+    config.options.pop()
+    assert.deepEqual(validateConfig(config), [{
+      path: 'options',
+      message: 'must have at least two entries, one for each plugin that ' +
+        'sends to the other, got 1'
+    }])
+  })
+
+  it('should report each problem with an option by its path', function () {
+    const config = makeConfig()
+    config.options[0].minBalance = 10
+    delete config.options[1].pluginOptions
+    delete config.options[1].transfer.account
+
+    assert.deepEqual(validateConfig(config), [
+      { path: 'options[0].minBalance', message: 'must be an integer string, got 10' },
+      {
+        path: 'options[1].pluginOptions',
+        message: 'must be an object of options for the plugin constructor'
+      },
+      {
+        path: 'options[1].transfer.account',
+        message: 'must be a non-empty string, the account that the plugin sends to'
+      }
+    ])
+  })
+
+  it('should report both options sending to the same account', function () {
+    const config = makeConfig()
+    config.options[1].transfer.account = 'example.bob'
+    assert.deepEqual(validateConfig(config), [{
+      path: 'options[1].transfer.account',
+      message: 'must differ from options[0].transfer.account, but both are "example.bob"'
+    }])
+  })
+
+  it('should report unknown and non-boolean capabilities', function () {
+    const config = Object.assign(makeConfig(), {
+      capabilities: { optimistic: 'no', teleport: false }
+    })
+    const problems = validateConfig(config)
+
+    assert.deepEqual(problems.map((problem) => problem.path),
+      [ 'capabilities.optimistic', 'capabilities.teleport' ])
+    assert.equal(problems[0].message, 'must be true or false')
+    assert.match(problems[1].message, /^is not a known capability\./)
+  })
+
+  it('should report multiparty declared without a third option', function () {
+    const config = Object.assign(makeConfig(), { capabilities: { multiparty: true } })
+    assert.deepEqual(validateConfig(config), [{
+      path: 'capabilities.multiparty',
+      message: 'is true, but the config has fewer than three entries in options'
+    }])
+  })
+
+  it('should report required options that the first option does not have', function () {
+    const config = Object.assign(makeConfig(), { requiredOptions: [ 'account', 'ledger' ] })
+    assert.deepEqual(validateConfig(config), [{
+      path: 'requiredOptions[1]',
+      message: 'is "ledger", which is not in options[0].pluginOptions'
+    }])
+  })
+
+  it('should report an unknown version of the interface', function () {
+    const config = Object.assign(makeConfig(), { pluginVersion: 3 })
+    assert.deepEqual(validateConfig(config).map((problem) => problem.path),
+      [ 'pluginVersion' ])
+  })
+})
@@ -0,0 +1,41 @@
+'use strict'
+
+const assert = require('chai').assert
+const versions = require('../../src/versions')
+
+// a plugin constructor with the given methods on its prototype
+const makePlugin = (methods) => {
+  const Plugin = function () {}
+  methods.forEach((method) => {
+    Plugin.prototype[method] = function () {}
+  })
+  return Plugin
+}
+
+describe('detectVersions', function () {
+  it('should use the versions that the config declares', function () {
+    const config = { plugin: makePlugin([ 'sendMessage' ]), pluginVersion: [ 2, 1 ] }
+    assert.deepEqual(versions.detectVersions(config),
+      { versions: [ 1, 2 ], source: 'config' })
+  })
+
+  it('should use the versions that the plugin declares', function () {
+    const Plugin = makePlugin([ 'sendMessage' ])
+    Plugin.pluginVersion = 2
+    assert.deepEqual(versions.detectVersions({ plugin: Plugin }),
+      { versions: [ 2 ], source: 'plugin' })
+  })
+
+  it('should probe the plugin for methods of each version', function () {
+    assert.deepEqual(versions.detectVersions({ plugin: makePlugin([ 'sendRequest' ]) }),
+      { versions: [ 2 ], source: 'methods' })
+    assert.deepEqual(versions.detectVersions({
+      plugin: makePlugin([ 'fulfillCondition', 'registerTransferHandler' ])
+    }), { versions: [ 1, 2 ], source: 'methods' })
+  })
+
+  it('should assume the first version for a plugin with neither', function () {
+    assert.deepEqual(versions.detectVersions({ plugin: makePlugin([ 'connect' ]) }),
+      { versions: [ 1 ], source: 'methods' })
+  })
+})
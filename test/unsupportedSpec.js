@@ -0,0 +1,112 @@
+'use strict'
+
+const assert = require('chai').assert
+const testPlugin = require('../src/config').getConfig()
+const events = require('./helpers/events')
+const describeUnless = require('./helpers/capabilities').describeUnless
+const makeCondition = require('./helpers/conditions').makeCondition
+const assertError = require('./helpers/errors').assertError
+const transfers = require('./helpers/transfers')
+const makeExpiry = transfers.makeExpiry
+const sinon = require('sinon')
+const uuid = require('uuid4')
+
+const Plugin = events.watch(testPlugin.plugin)
+
+const optsA = testPlugin.options[0].pluginOptions
+const optsB = testPlugin.options[1].pluginOptions
+const transferA = testPlugin.options[0].transfer
+const timeout = testPlugin.timeout
+
+describe('Plugin unsupported features', function () {
+  beforeEach(function * () {
+    // give plenty of time more than the expiry
+    this.currentTest.timeout(this.currentTest.timeout() + timeout * 2)
+
+    this.pluginA = new Plugin(optsA)
+    this.pluginB = new Plugin(optsB)
+
+    const pA = new Promise(resolve => this.pluginA.once('connect', resolve))
+    yield this.pluginA.connect({ timeout })
+    yield pA
+
+    const pB = new Promise(resolve => this.pluginB.once('connect', resolve))
+    yield this.pluginB.connect({ timeout })
+    yield pB
+
+    assert.isTrue(this.pluginA.isConnected())
+    assert.isTrue(this.pluginB.isConnected())
+
+    this.prefix = this.pluginA.getInfo().prefix
+  })
+
+  afterEach(function * () {
+    if (this.pluginA.isConnected()) yield this.pluginA.disconnect()
+    if (this.pluginB.isConnected()) yield this.pluginB.disconnect()
+  })
+
+  describeUnless('optimistic', 'optimistic transfers', function () {
+    it('should reject an optimistic transfer with NotAcceptedError', function * () {
+      const transferStub = sinon.stub()
+      this.pluginA.on('outgoing_transfer', transferStub)
+      this.pluginB.on('incoming_transfer', transferStub)
+
+      yield this.pluginA.sendTransfer(Object.assign({
+        id: uuid(),
+        amount: '1'
+      }, transferA))
+        .then(() => {
+          assert(false, 'optimistic transfer should have been rejected')
+        })
+        .catch((e) => {
+          assertError(e, 'NotAcceptedError')
+        })
+
+      sinon.assert.notCalled(transferStub)
+    })
+  })
+
+  describeUnless('universal', 'conditional transfers', function () {
+    it('should reject a transfer with a condition with NotAcceptedError', function * () {
+      const prepareStub = sinon.stub()
+      this.pluginA.on('outgoing_prepare', prepareStub)
+      this.pluginB.on('incoming_prepare', prepareStub)
+
+      yield this.pluginA.sendTransfer(Object.assign({
+        id: uuid(),
+        amount: '1',
+        executionCondition: makeCondition().condition,
+        expiresAt: makeExpiry(timeout)
+      }, transferA))
+        .then(() => {
+          assert(false, 'conditional transfer should have been rejected')
+        })
+        .catch((e) => {
+          assertError(e, 'NotAcceptedError')
+        })
+
+      sinon.assert.notCalled(prepareStub)
+    })
+  })
+
+  describeUnless('messaging', 'messaging', function () {
+    it('should reject a message with NotAcceptedError', function * () {
+      const messageStub = sinon.stub()
+      this.pluginB.on('incoming_message', messageStub)
+
+      yield this.pluginA.sendMessage({
+        ledger: this.prefix,
+        account: transferA.account,
+        data: {foo: 'bar'}
+      })
+        .then(() => {
+          assert(false, 'message should have been rejected')
+        })
+        .catch((e) => {
+          assertError(e, 'NotAcceptedError')
+        })
+
+      sinon.assert.notCalled(messageStub)
+    })
+  })
+})